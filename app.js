@@ -26,7 +26,11 @@
     PAYPAL_CLIENT_ID: "AUFfmeZGU-xTkePa3gGRDOmartF-6kfATCybQMKq0_R0ZT7K5ZcjbNAtadN65gMKEi_4lcjFWnLv7SHV",
     TVOD_API_BASE: "",
     TVOD_CHECKOUT_URL_BASE: "",
+    SUBSCRIPTIONS_API_BASE: "",
+    PLANS: [],
     VAST_TAG: "",
+    VMAP_TAG: "",
+    ANALYTICS_URL: "",
   };
 
   let CONFIG = { ...DEFAULT_CONFIG };
@@ -35,16 +39,27 @@
     catalog: null,
     titles: [],
     byId: new Map(),
+    searchIndex: [],
+    diagnostics: [],
+    myList: [],
+    profiles: [],
+    profile: null,
+    parentalUnlock: null,
+    entitlements: new Map(),
+    subscription: null,
     activeTab: "Home",
+    offline: navigator.onLine === false,
     route: { name: "home", params: {} },
     session: null,
     user: null,
     loop: {
-      queue: [],
-      index: 0,
+      channels: [],
+      channelId: null,
+      current: null,
+      joinedAt: 0,
       lastAdAt: 0,
-      shuffle: true,
       playingAd: false,
+      ad: null,
     },
   };
 
@@ -122,6 +137,7 @@
 
     titles.forEach((t) => {
       byId.set(t.id, t);
+      t.genre = genreList(t.genre);
 
       if (t.type === "series") {
         (t.seasons || []).forEach((s, si) => {
@@ -139,20 +155,377 @@
     return { titles, byId };
   }
 
+  // Catalogs send genre as an array or as one "Drama, Thriller" string; the
+  // app only ever sees the array.
+  function genreList(genre) {
+    const list = Array.isArray(genre) ? genre : String(genre || "").split(",");
+    return list.map((g) => String(g || "").trim()).filter(Boolean);
+  }
+
+  // =========================================================
+  // CATALOG DIAGNOSTICS
+  // =========================================================
+  const KNOWN_TITLE_TYPES = [
+    "films",
+    "documentaries",
+    "series",
+    "shorts",
+    "foreign",
+    "live",
+  ];
+  const PLAYBACK_ID_RE = /^[A-Za-z0-9]+$/;
+
+  // Checks a raw (un-normalized) catalog and returns a list of
+  // { level: "error" | "warning", titleId, path, message } issues.
+  function validateCatalog(catalog = state.catalog) {
+    const issues = [];
+    const add = (level, titleId, path, message) =>
+      issues.push({ level, titleId: titleId || null, path, message });
+
+    if (!catalog || typeof catalog !== "object") {
+      add("error", null, "", "Catalog is not an object.");
+      return issues;
+    }
+
+    const key = Array.isArray(catalog.titles)
+      ? "titles"
+      : Array.isArray(catalog.publishedTitles)
+      ? "publishedTitles"
+      : null;
+    if (!key) {
+      add("error", null, "titles", "No titles[] or publishedTitles[] array.");
+      return issues;
+    }
+
+    const seen = new Map();
+    const claimId = (id, titleId, path) => {
+      if (seen.has(id)) {
+        add(
+          "error",
+          titleId,
+          path,
+          `Duplicate id "${id}" (also at ${seen.get(id)}).`
+        );
+      } else {
+        seen.set(id, path);
+      }
+    };
+    const checkPlayback = (item, titleId, path) => {
+      [
+        "contentPlaybackId",
+        "trailerPlaybackId",
+        "livePlaybackId",
+        "replayPlaybackId",
+      ].forEach((field) => {
+        const v = item[field];
+        if (v == null || v === "") return;
+        if (typeof v !== "string" || !PLAYBACK_ID_RE.test(v)) {
+          add(
+            "error",
+            titleId,
+            `${path}.${field}`,
+            `Invalid Mux playback id "${v}".`
+          );
+        }
+      });
+    };
+
+    const checkSubtitles = (item, titleId, path) => {
+      if (item.subtitles == null) return;
+      if (!Array.isArray(item.subtitles)) {
+        add(
+          "warning",
+          titleId,
+          `${path}.subtitles`,
+          "subtitles is not an array."
+        );
+        return;
+      }
+      item.subtitles.forEach((sub, si) => {
+        if (!sub?.src || !sub?.lang) {
+          add(
+            "warning",
+            titleId,
+            `${path}.subtitles[${si}]`,
+            "Subtitle track needs src and lang; it will be skipped."
+          );
+        }
+      });
+    };
+
+    catalog[key].forEach((t, i) => {
+      const path = `${key}[${i}]`;
+      if (!t || typeof t !== "object") {
+        add("error", null, path, "Title entry is not an object.");
+        return;
+      }
+      if (!t.id) {
+        add("error", null, `${path}.id`, "Missing id; title cannot be linked.");
+      } else {
+        claimId(t.id, t.id, `${path}.id`);
+      }
+
+      if (!t.title) add("warning", t.id, `${path}.title`, "Missing title.");
+      if (!KNOWN_TITLE_TYPES.includes(t.type)) {
+        add("warning", t.id, `${path}.type`, `Unknown type "${t.type ?? ""}".`);
+      }
+      if (!poster(t)) {
+        add(
+          "warning",
+          t.id,
+          `${path}.posterUrl`,
+          "No poster image in any known field."
+        );
+      }
+      checkPlayback(t, t.id, path);
+      checkSubtitles(t, t.id, path);
+
+      if (isLiveEvent(t)) {
+        if (t.liveStartsAt && isNaN(Date.parse(t.liveStartsAt))) {
+          add(
+            "warning",
+            t.id,
+            `${path}.liveStartsAt`,
+            `Unparseable start time "${t.liveStartsAt}".`
+          );
+        }
+        return;
+      }
+
+      if (t.type !== "series") {
+        if (!t.contentPlaybackId && !t.videoUrl) {
+          add(
+            "warning",
+            t.id,
+            `${path}.contentPlaybackId`,
+            "No contentPlaybackId or videoUrl."
+          );
+        }
+        return;
+      }
+
+      if (!Array.isArray(t.seasons) || !t.seasons.length) {
+        add("warning", t.id, `${path}.seasons`, "Series has no seasons.");
+        return;
+      }
+      t.seasons.forEach((season, si) => {
+        const sPath = `${path}.seasons[${si}]`;
+        if (!Array.isArray(season?.episodes)) {
+          add(
+            "warning",
+            t.id,
+            `${sPath}.episodes`,
+            "Season has no episodes[] array."
+          );
+          return;
+        }
+        season.episodes.forEach((ep, ei) => {
+          const ePath = `${sPath}.episodes[${ei}]`;
+          if (!ep || typeof ep !== "object") {
+            add("error", t.id, ePath, "Episode entry is not an object.");
+            return;
+          }
+          if (!ep.id) {
+            add(
+              "warning",
+              t.id,
+              `${ePath}.id`,
+              "Missing id; a generated id will be used."
+            );
+          }
+          const epId = ep.id || `${t.id}_s${si + 1}e${ei + 1}`;
+          if (t.id) claimId(epId, t.id, `${ePath}.id`);
+          checkPlayback(ep, t.id, ePath);
+          checkSubtitles(ep, t.id, ePath);
+          if (!ep.contentPlaybackId && !ep.videoUrl) {
+            add(
+              "warning",
+              t.id,
+              `${ePath}.contentPlaybackId`,
+              "No contentPlaybackId or videoUrl."
+            );
+          }
+        });
+      });
+    });
+
+    const loopChannels =
+      Array.isArray(catalog.loopChannels) && catalog.loopChannels.length
+        ? catalog.loopChannels.map((ch, i) => [ch, `loopChannels[${i}]`])
+        : catalog.loopChannel
+        ? [[catalog.loopChannel, "loopChannel"]]
+        : [];
+    const channelIds = new Set();
+    loopChannels.forEach(([loop, base]) => {
+      if (loop?.id != null) {
+        const id = String(loop.id);
+        if (channelIds.has(id)) {
+          add("error", null, `${base}.id`, `Duplicate channel id "${id}".`);
+        }
+        channelIds.add(id);
+      }
+      (loop?.rotationItems || []).forEach((it, i) => {
+        const path = `${base}.rotationItems[${i}]`;
+        if (!it || !["title", "episode"].includes(it.refType)) {
+          add(
+            "error",
+            it?.refId,
+            `${path}.refType`,
+            `Unknown refType "${it?.refType ?? ""}".`
+          );
+          return;
+        }
+        if (!seen.has(it.refId)) {
+          add(
+            "error",
+            it.refId,
+            `${path}.refId`,
+            `Dangling ref "${it.refId ?? ""}".`
+          );
+        }
+      });
+      (loop?.sponsoredAds || []).forEach((ad, i) => {
+        const hasMedia =
+          ad?.muxAdPlaybackId || ad?.mediaUrl || ad?.vastUrl || ad?.vastTagUrl;
+        if (!hasMedia) {
+          add(
+            "warning",
+            null,
+            `${base}.sponsoredAds[${i}]`,
+            "Ad has no muxAdPlaybackId, mediaUrl or vastUrl."
+          );
+        }
+      });
+    });
+
+    const featuredFields = ["featuredTitles", "featured", "heroItems", "featuredItems"];
+    featuredFields.forEach((field) => {
+      if (!Array.isArray(catalog[field])) return;
+      catalog[field].forEach((it, i) => {
+        const ref = typeof it === "string" ? it : it?.refId;
+        if (ref && !seen.has(ref)) {
+          add("warning", ref, `${field}[${i}]`, `Dangling featured ref "${ref}".`);
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  // Fingerprint of the raw catalog, taken before normalizeCatalog mutates it.
+  let catalogSignature = "";
+
+  function applyCatalog(catalog, signature = JSON.stringify(catalog)) {
+    catalogSignature = signature;
+    state.diagnostics = validateCatalog(catalog);
+    const errors = state.diagnostics.filter((d) => d.level === "error");
+    if (errors.length) {
+      console.warn(
+        `Catalog has ${errors.length} error(s); see #/diagnostics.`,
+        errors
+      );
+    }
+    state.catalog = catalog;
+    const norm = normalizeCatalog(state.catalog);
+    state.titles = norm.titles;
+    state.byId = norm.byId;
+    state.searchIndex = buildSearchIndex(state.titles);
+    initLoopChannels();
+  }
+
+  // Renders straight from the last good catalog when there is one, then
+  // revalidates against the network in the background.
   async function loadData() {
-    renderLoading();
+    const cached = await readCachedCatalog();
+    if (cached) {
+      applyCatalog(cached);
+      render();
+    } else {
+      renderLoading();
+    }
+    await refreshCatalog();
+  }
+
+  async function refreshCatalog() {
+    const hasCatalog = !!state.catalog;
     try {
-      state.catalog = await fetchCatalogFromManifest();
-      const norm = normalizeCatalog(state.catalog);
-      state.titles = norm.titles;
-      state.byId = norm.byId;
-      initLoopQueue();
+      const fresh = await fetchCatalogFromManifest();
+      const signature = JSON.stringify(fresh);
+      writeCachedCatalog(signature);
+      setOffline(false);
+      if (hasCatalog && signature === catalogSignature) return;
+      applyCatalog(fresh, signature);
       render();
     } catch (err) {
-      renderError(err);
+      if (hasCatalog) setOffline(true);
+      else renderError(err);
+    }
+  }
+
+  // =========================================================
+  // OFFLINE CACHE (shared with sw.js)
+  // =========================================================
+  const DATA_CACHE = "watchvim-data-v1";
+  const CATALOG_CACHE_KEY = "./__watchvim/catalog.json";
+
+  async function readCachedCatalog() {
+    if (!("caches" in window)) return null;
+    try {
+      const cache = await caches.open(DATA_CACHE);
+      const res = await cache.match(CATALOG_CACHE_KEY);
+      return res ? await res.json() : null;
+    } catch (_) {
+      return null;
     }
   }
 
+  // Takes the raw JSON text: the catalog object itself is normalized in
+  // place as soon as it's applied.
+  async function writeCachedCatalog(json) {
+    if (!("caches" in window)) return;
+    try {
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(
+        CATALOG_CACHE_KEY,
+        new Response(json, {
+          headers: { "Content-Type": "application/json" },
+        })
+      );
+    } catch (_) {}
+  }
+
+  // Analytics hold their queue while offline; coming back sends it.
+  function setOffline(offline) {
+    const wasOffline = state.offline;
+    state.offline = offline;
+    const banner = document.getElementById("offlineBanner");
+    if (banner) banner.classList.toggle("hidden", !offline);
+    if (wasOffline && !offline) flushAnalytics();
+  }
+
+  function OfflineBanner() {
+    return `
+      <div id="offlineBanner" class="${
+        state.offline ? "" : "hidden"
+      } px-4 py-2 text-xs text-center bg-watchGold/20 text-watchGold">
+        ${tr("offline.banner")}
+      </div>
+    `;
+  }
+
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker.register("./sw.js").catch((err) => {
+      console.warn("Service worker registration failed.", err);
+    });
+  }
+
+  window.addEventListener("offline", () => setOffline(true));
+  window.addEventListener("online", () => {
+    setOffline(false);
+    if (state.catalog) refreshCatalog();
+  });
+
   // =========================================================
   // OPTIONAL SUPABASE AUTH
   // =========================================================
@@ -160,7 +533,12 @@
 
   async function initSupabaseIfPossible() {
     if (!CONFIG.SUPABASE_URL || !CONFIG.SUPABASE_ANON_KEY) return;
-    await loadScript("https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2");
+    try {
+      await loadScript("https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2");
+    } catch (err) {
+      console.warn("Supabase SDK unavailable, continuing without auth.", err);
+      return;
+    }
     supabase = window.supabase?.createClient(
       CONFIG.SUPABASE_URL,
       CONFIG.SUPABASE_ANON_KEY
@@ -171,9 +549,17 @@
     state.session = data.session || null;
     state.user = data.session?.user || null;
 
-    supabase.auth.onAuthStateChange((_event, session) => {
+    supabase.auth.onAuthStateChange(async (_event, session) => {
+      const prevUserId = state.user?.id || null;
       state.session = session;
       state.user = session?.user || null;
+      if ((state.user?.id || null) !== prevUserId) {
+        await loadProfiles();
+        await syncMyList();
+        await loadEntitlements();
+        await loadSubscription();
+        if (state.catalog) initLoopChannels();
+      }
       render();
     });
   }
@@ -192,7 +578,9 @@
   async function signIn(email, password) {
     if (!supabase) return alert("Auth not configured.");
     const { error } = await supabase.auth.signInWithPassword({ email, password });
-    if (error) alert(error.message);
+    if (error) return alert(error.message);
+    const next = safeNext(state.route.params.next);
+    navTo(next ? `#/profiles?next=${encodeURIComponent(next)}` : "#/profiles");
   }
 
   async function signUp(email, password, fullName) {
@@ -203,7 +591,7 @@
       options: { data: { full_name: fullName || "" } },
     });
     if (error) alert(error.message);
-    else alert("Check your email to confirm your account.");
+    else alert(tr("auth.checkEmail"));
   }
 
   async function signOut() {
@@ -218,43 +606,258 @@
   // =========================================================
   // ROUTER
   // =========================================================
+  // Routes are declared once: path segments (":name", "?" for optional),
+  // typed params/query, guards that may block with a page of their own, an
+  // optional enter hook run once per navigation (with the route shown
+  // before it), and an optional mount hook that only runs when every guard
+  // passed.
+  const WATCH_KINDS = ["content", "trailer"];
+
+  // An array spec is an enum whose first entry is the default.
+  const PARAM_TYPES = {
+    string: (v) => v ?? "",
+    int: (v) => (/^\d+$/.test(v ?? "") ? Number(v) : undefined),
+    time: (v) => parseTimeParam(v),
+    bool: (v) => v === "1" || v === "true",
+  };
+
+  const ROUTES = [
+    {
+      name: "home",
+      path: "home",
+      page: () => HomePage(),
+      mount: wireHeroHover,
+    },
+    { name: "title", path: "title/:id", page: (p) => TitlePage(p.id) },
+    { name: "series", path: "series/:id", page: (p) => SeriesPage(p.id) },
+    {
+      name: "episode",
+      path: "episode/:seriesId/:seasonIndex/:epIndex",
+      params: { seasonIndex: "int", epIndex: "int" },
+      query: { kind: WATCH_KINDS, t: "time" },
+      guards: [requireAuth, requireEpisodeAccess],
+      page: (p) =>
+        EpisodeWatchPage(p.seriesId, p.seasonIndex, p.epIndex, p.kind),
+      mount: mountEpisode,
+    },
+    {
+      name: "watch",
+      path: "watch/:id",
+      query: { kind: WATCH_KINDS, t: "time" },
+      guards: [requireAuth, requireTitleAccess],
+      page: (p) => WatchPage(p.id, p.kind),
+      mount: mountWatch,
+    },
+    {
+      name: "loop",
+      path: "loop/:channelId?",
+      guards: [requireAuth],
+      enter: enterLoop,
+      page: () => LoopPage(),
+      mount: attachLoopPlayerListeners,
+    },
+    {
+      name: "guide",
+      path: "guide",
+      guards: [requireAuth],
+      page: () => GuidePage(),
+    },
+    {
+      name: "search",
+      path: "search",
+      query: {
+        q: "string",
+        type: "string",
+        genre: "string",
+        year: "string",
+        runtime: "string",
+      },
+      page: (p) => SearchPage(p),
+      mount: wireSearch,
+    },
+    {
+      name: "login",
+      path: "login",
+      query: { mode: ["login", "signup"], next: "string" },
+      enter: (p) => (loginView = p.mode),
+      page: () => LoginPage(),
+    },
+    { name: "profile", path: "profile", page: () => ProfilePage() },
+    { name: "mylist", path: "mylist", page: () => MyListPage() },
+    {
+      name: "plans",
+      path: "plans",
+      guards: [requireAuth],
+      page: () => PlansPage(),
+      mount: wirePlans,
+    },
+    {
+      name: "parental",
+      path: "parental",
+      query: {
+        mode: ["unlock", "set", "change", "limit", "verify"],
+        level: "string",
+        item: "string",
+        next: "string",
+      },
+      page: (p) => ParentalPage(p),
+    },
+    {
+      name: "profiles",
+      path: "profiles",
+      query: { manage: "bool", next: "string" },
+      guards: [requireAuth],
+      page: (p) => ProfilePickerPage(p.manage),
+    },
+    {
+      name: "diagnostics",
+      path: "diagnostics",
+      page: () => DiagnosticsPage(),
+    },
+    { name: "legal", path: "legal/:slug", page: (p) => LegalPage(p.slug) },
+  ];
+  const ROUTE_BY_NAME = new Map(ROUTES.map((r) => [r.name, r]));
+
+  function castParam(spec, value) {
+    if (Array.isArray(spec)) return spec.includes(value) ? value : spec[0];
+    return (PARAM_TYPES[spec] || PARAM_TYPES.string)(value);
+  }
+
+  function decodeSegment(s) {
+    try {
+      return decodeURIComponent(s);
+    } catch (_) {
+      return s;
+    }
+  }
+
+  function matchRoute(route, parts, query) {
+    const segs = route.path.split("/");
+    if (parts.length > segs.length) return null;
+    const params = {};
+    for (let i = 0; i < segs.length; i++) {
+      const seg = segs[i];
+      if (!seg.startsWith(":")) {
+        if (parts[i] !== seg) return null;
+        continue;
+      }
+      const optional = seg.endsWith("?");
+      const key = seg.slice(1, optional ? -1 : undefined);
+      if (parts[i] == null) {
+        if (!optional) return null;
+        params[key] = "";
+        continue;
+      }
+      const value = castParam(route.params?.[key] || "string", parts[i]);
+      if (value === undefined) return null;
+      params[key] = value;
+    }
+    for (const [key, spec] of Object.entries(route.query || {}))
+      params[key] = castParam(spec, query[key]);
+    return params;
+  }
+
   function parseHash() {
     const raw = location.hash.replace(/^#\/?/, "");
     const [path, qs] = raw.split("?");
-    const parts = (path || "home").split("/").filter(Boolean);
+    const parts = (path || "home")
+      .split("/")
+      .filter(Boolean)
+      .map(decodeSegment);
     const query = Object.fromEntries(new URLSearchParams(qs || ""));
 
-    if (parts[0] === "title" && parts[1])
-      return { name: "title", params: { id: parts[1] } };
-    if (parts[0] === "series" && parts[1])
-      return { name: "series", params: { id: parts[1] } };
-    if (parts[0] === "episode" && parts[1] && parts[2] && parts[3]) {
-      return {
-        name: "episode",
-        params: {
-          seriesId: parts[1],
-          seasonIndex: parts[2],
-          epIndex: parts[3],
-          kind: query.kind || "content",
-        },
-      };
+    for (const route of ROUTES) {
+      const params = matchRoute(route, parts, query);
+      if (params) return { name: route.name, params };
     }
-    if (parts[0] === "watch" && parts[1])
-      return { name: "watch", params: { id: parts[1], kind: query.kind || "content" } };
-    if (parts[0] === "loop") return { name: "loop", params: {} };
-    if (parts[0] === "search") return { name: "search", params: {} };
-    if (parts[0] === "login")
-      return { name: "login", params: { mode: query.mode || "login" } };
-    if (parts[0] === "profile") return { name: "profile", params: {} };
-    if (parts[0] === "legal" && parts[1])
-      return { name: "legal", params: { slug: parts[1] } };
-
     return { name: "home", params: {} };
   }
 
+  // First guard to return a page wins; null means the route may render.
+  function runGuards(route, params) {
+    for (const guard of route.guards || []) {
+      const blocked = guard(params);
+      if (blocked) return blocked;
+    }
+    return null;
+  }
+
+  function requireAuth() {
+    return isLoggedIn() ? null : GatePage();
+  }
+
+  function requireTitleAccess({ id, kind }) {
+    const t = state.byId.get(id);
+    if (!t) return NotFound(tr("common.titleNotFound"));
+    if (!isAllowed(t)) return LockedPage(t);
+    const access = accessFor(t, kind);
+    return access.canWatch ? null : AccessRequiredPage(t, access);
+  }
+
+  function requireEpisodeAccess({ seriesId, seasonIndex, epIndex, kind }) {
+    const s = state.byId.get(seriesId);
+    const ep = s?.seasons?.[seasonIndex]?.episodes?.[epIndex];
+    if (!s || !ep) return NotFound(tr("common.episodeNotFound"));
+    if (!isAllowed(ep)) return LockedPage(ep);
+    const access = accessFor(ep, kind);
+    return access.canWatch ? null : AccessRequiredPage(s, access);
+  }
+
+  // Only in-app hashes survive, and never back into the login/profile flow.
+  function safeNext(next) {
+    const v = String(next || "");
+    if (!v.startsWith("#/")) return "";
+    return /^#\/(login|profiles)\b/.test(v) ? "" : v;
+  }
+
+  // Used inside onclick='...' attributes, so quotes are escaped too.
+  function loginHref(mode = "login", next = location.hash) {
+    const target = safeNext(next);
+    const q = target ? `&next=${encodeURIComponent(target)}` : "";
+    return `#/login?mode=${mode}${q}`.replace(/'/g, "%27");
+  }
+
+  // Scroll position lives on the history entry so Back lands where you were.
+  const SCROLL_SAVE_MS = 150;
+  let scrollSaveTimer = null;
+  let lastRenderedHash = null;
+
+  function saveScrollPosition() {
+    clearTimeout(scrollSaveTimer);
+    try {
+      history.replaceState(
+        { ...(history.state || {}), scrollY: window.scrollY },
+        ""
+      );
+    } catch (_) {}
+  }
+
+  function restoreScrollPosition(keepY) {
+    const saved = history.state?.scrollY;
+    const y = keepY ?? (Number.isFinite(saved) ? saved : 0);
+    window.scrollTo(0, y);
+  }
+
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+  window.addEventListener(
+    "scroll",
+    () => {
+      clearTimeout(scrollSaveTimer);
+      scrollSaveTimer = setTimeout(saveScrollPosition, SCROLL_SAVE_MS);
+    },
+    { passive: true }
+  );
+
   function navTo(hash) {
+    saveScrollPosition();
     location.hash = hash;
   }
+
+  // For targets built from the URL: they ride in data-href rather than
+  // inline JS, and only in-app hashes are followed.
+  function navToButton(btn) {
+    navTo(safeNext(btn.dataset.href) || "#/home");
+  }
   window.addEventListener("hashchange", render);
 
   // =========================================================
@@ -279,20 +882,13 @@
   }
 
   function poster(t) {
-    return (
-      t.posterUrl ||
-      t.appImages?.tvPosterUrl ||
-      t.appImages?.mobilePosterUrl ||
-      t.poster ||
-      ""
-    );
+    return t.posterUrl || pickArtVariant(t, "Poster") || t.poster || "";
   }
 
   function hero(t) {
     return (
       t.heroUrl ||
-      t.appImages?.tvHeroUrl ||
-      t.appImages?.mobileHeroUrl ||
+      pickArtVariant(t, "Hero") ||
       t.heroImage ||
       poster(t) ||
       ""
@@ -300,18 +896,17 @@
   }
 
   function typeLabel(type) {
-    const map = {
-      films: "Movie",
-      documentaries: "Documentary",
-      series: "Series",
-      shorts: "Short",
-      foreign: "Foreign",
-    };
-    return map[type] || type || "Title";
+    return KNOWN_TITLE_TYPES.includes(type)
+      ? tr(`type.${type}`)
+      : type || "Title";
   }
 
   function muxIdFor(t, kind = "content") {
-    return kind === "trailer" ? t.trailerPlaybackId : t.contentPlaybackId;
+    if (kind === "trailer") return t.trailerPlaybackId;
+    if (isLiveEvent(t)) {
+      return liveState(t) === "live" ? t.livePlaybackId : replayPlaybackId(t);
+    }
+    return t.contentPlaybackId;
   }
 
   function isTV() {
@@ -334,11 +929,898 @@
       t.type === "shorts" || (t.runtimeMins && Number(t.runtimeMins) <= 40),
     Foreign: (t) =>
       t.type === "foreign" ||
-      (t.genre || []).some((g) => /foreign|international|world/i.test(g)) ||
+      t.genre.some((g) => /foreign|international|world/i.test(g)) ||
       (t.language && !/english/i.test(t.language)),
-    LIVE: () => false,
+    LIVE: (t) => isLiveEvent(t),
+  };
+
+  // =========================================================
+  // I18N (UI strings + localized catalog metadata)
+  // =========================================================
+  // Bundles map a key to a string, or to Intl.PluralRules categories for
+  // counted strings. Missing keys fall back to English, then to the key.
+  const DEFAULT_LOCALE = "en";
+  const RTL_LANGS = ["ar", "he", "fa", "ur"];
+  const LOCALE_NAMES = { en: "English", es: "Español", ar: "العربية" };
+
+  const LOCALE_BUNDLES = {
+    en: {
+      "tab.Home": "Home",
+      "tab.Movies": "Movies",
+      "tab.Series": "Series",
+      "tab.Shorts": "Shorts",
+      "tab.Foreign": "Foreign",
+      "tab.LIVE": "LIVE",
+      "tab.Search": "Search",
+      "nav.myList": "My List",
+      "nav.profile": "Profile",
+      "nav.logIn": "Log in",
+      "nav.logOut": "Log out",
+      "nav.switchProfile": "Switch profile",
+      "nav.back": "← Back",
+      "cta.becomeMember": "Become a Member",
+      "cta.view": "View",
+      "cta.playTrailer": "Play Trailer",
+      "cta.trailer": "Trailer",
+      "cta.logIn": "Log in",
+      "cta.logInToWatch": "Log in to Watch",
+      "cta.logInToRent": "Log in to Rent/Buy",
+      "cta.watch": "Watch",
+      "cta.watchNow": "Watch Now",
+      "cta.watchWithAds": "Watch Free with Ads",
+      "cta.watchRented": "Watch (rented – {time})",
+      "cta.rentBuy": "Rent / Buy",
+      "cta.locked": "🔒 Locked",
+      "cta.hoursLeft": "{count}h left",
+      "cta.minsLeft": "{count}m left",
+      "live.upcoming": "Starts Soon",
+      "live.live": "Watch Live",
+      "live.replay": "Watch Replay",
+      "live.ended": "Event Ended",
+      "live.unavailable": "Not available on this profile",
+      "live.badge.live": "● LIVE NOW",
+      "live.badge.upcoming": "Upcoming",
+      "live.badge.replay": "Replay",
+      "live.badge.ended": "Ended",
+      "live.startsAt": "Starts {time}",
+      "live.startingSoon": "Starting soon",
+      "live.countdownDays": "{days}d {clock}",
+      "live.endedTitle": "This event has ended.",
+      "live.replaySoon": "The replay will be available here soon.",
+      "myList.add": "+ My List",
+      "myList.saved": "✓ My List",
+      "myList.empty":
+        "Nothing saved yet. Use “+ My List” on any title to keep it here.",
+      "row.viewAll": "View all",
+      "row.continueWatching": "Continue Watching",
+      "row.myList": "My List",
+      "row.topMovies": "Top Movies & Docs",
+      "row.topSeries": "Top Series",
+      "row.topShorts": "Top Shorts",
+      "row.topForeign": "Top Foreign",
+      "row.topTab": "Top {tab}",
+      "row.liveEvents": "Live Events",
+      "type.films": "Movie",
+      "type.documentaries": "Documentary",
+      "type.series": "Series",
+      "type.shorts": "Short",
+      "type.foreign": "Foreign",
+      "type.live": "Live Event",
+      "series.season": "Season {number}",
+      "series.episodes": { one: "{count} episode", other: "{count} episodes" },
+      "series.noSeasons": "No seasons published yet.",
+      "series.previous": "← Previous: {code}",
+      "series.next": "Next: {code} →",
+      "gate.title": "WatchVIM Members Only",
+      "gate.body":
+        "Create a free WatchVIM account or become a member to stream all movies, series, shorts, and our LIVE Loop Channel.",
+      "gate.logIn": "Log In",
+      "upNext.title": "Up Next",
+      "upNext.playingIn": "Playing in {seconds}s",
+      "upNext.playNow": "Play Now",
+      "share.button": "Share",
+      "share.atTime": "Share at current time",
+      "share.copied": "Link copied",
+      "search.title": "Search",
+      "search.placeholder": "Search titles, cast, episodes...",
+      "search.noResults": "No results.",
+      "search.runtime.short": "Under 40 mins",
+      "search.runtime.feature": "40–120 mins",
+      "search.runtime.long": "Over 2 hours",
+      "offline.banner": "You’re offline — showing the last saved catalog.",
+      "footer.terms": "Terms",
+      "footer.privacy": "Privacy",
+      "footer.refund": "Refund Policy",
+      "footer.poweredBy": "© WatchVIM — Powered by VIM Media",
+      "profile.language": "Language",
+      "profile.languageHint": "Used for menus and titles on this profile.",
+      "profile.title": "Your Profile",
+      "tracks.button": "Subtitles and audio",
+      "tracks.subtitles": "Subtitles",
+      "tracks.off": "Off",
+      "tracks.audio": "Audio",
+      "tracks.size": "Caption size",
+      "tracks.size.s": "Small",
+      "tracks.size.m": "Medium",
+      "tracks.size.l": "Large",
+      "tracks.background": "Caption background",
+      "tracks.bg.none": "None",
+      "tracks.bg.shaded": "Shaded",
+      "tracks.bg.solid": "Solid",
+      "common.untitled": "Untitled",
+      "common.thisTitle": "This title",
+      "common.notFound": "Not found",
+      "common.pageNotFound": "Page not found",
+      "common.titleNotFound": "Title not found",
+      "common.seriesNotFound": "Series not found",
+      "common.episodeNotFound": "Episode not found",
+      "common.goHome": "Go Home",
+      "common.goBack": "Go Back",
+      "common.cancel": "Cancel",
+      "common.save": "Save",
+      "common.delete": "Delete",
+      "common.done": "Done",
+      "common.loading": "Loading WatchVIM…",
+      "common.loadFailed": "Couldn’t load WatchVIM",
+      "common.retry": "Retry",
+      "title.mins": "{count} mins",
+      "title.actors": "Actors",
+      "title.director": "Director",
+      "title.writers": "Writers",
+      "title.trailerPreview": "Play trailer preview",
+      "resume.stoppedAt": "You stopped at {time}",
+      "resume.from": "Resume from {time}",
+      "resume.startOver": "Start over",
+      "auth.welcome": "Welcome to WatchVIM",
+      "auth.intro":
+        "Stream original films, series, shorts, and our LIVE Loop Channel. Create a free account to unlock the full catalog.",
+      "auth.fullName": "Full Name",
+      "auth.namePlaceholder": "Your name",
+      "auth.email": "Email",
+      "auth.password": "Password",
+      "auth.confirmPassword": "Confirm Password",
+      "auth.createAccount": "Create Account",
+      "auth.terms":
+        "By creating an account you agree to WatchVIM’s Terms of Use and Privacy Policy.",
+      "auth.checkEmail": "Check your email to confirm your account.",
+      "auth.enterCredentials": "Enter email + password.",
+      "auth.enterName": "Please enter your full name.",
+      "auth.fillAll": "Fill out all fields.",
+      "auth.passwordMismatch": "Passwords do not match.",
+      "auth.passwordShort": "Password must be at least {count} characters.",
+      "auth.notLoggedIn": "You’re not logged in.",
+      "profiles.whoIsWatching": "Who’s watching?",
+      "profiles.manage": "Manage Profiles",
+      "profiles.changeAvatar": "Change avatar",
+      "profiles.newName": "New profile name",
+      "profiles.add": "Add Profile",
+      "profiles.defaultName": "Profile {number}",
+      "profiles.enterName": "Enter a profile name.",
+      "profiles.max": "You can have up to {count} profiles.",
+      "profiles.minOne": "At least one profile is required.",
+      "profiles.confirmDelete": "Delete profile “{name}”?",
+      "parental.title": "Parental Controls",
+      "parental.limitFor": "Maturity limit for {name}.",
+      "parental.thisProfile": "this profile",
+      "parental.raiseNeedsPin": "Raising it requires the account PIN.",
+      "parental.firstSetsPin": "Setting a limit first creates the account PIN.",
+      "parental.limit.kids": "Kids",
+      "parental.limit.family": "Family",
+      "parental.limit.teen": "Teen",
+      "parental.limit.mature": "Mature",
+      "parental.limit.none": "No limit",
+      "parental.allRatings": "Everything",
+      "parental.changePin": "Change PIN",
+      "parental.setPin": "Set PIN",
+      "parental.enterPin": "Enter PIN",
+      "parental.locked": "{title} is locked",
+      "parental.lockedBody":
+        "It’s rated {rating}, above the maturity limit for this profile.",
+      "parental.pin.unlock": "Enter PIN to unlock",
+      "parental.pin.limit": "Enter PIN to change the maturity limit",
+      "parental.pin.change": "Enter your current PIN",
+      "parental.pin.verify": "Enter PIN to manage profiles",
+      "parental.pin.confirm": "Confirm your new PIN",
+      "parental.pin.create": "Create a {count}-digit PIN",
+      "parental.pin.digits": "Enter {count} digits.",
+      "parental.pin.mismatch": "PINs didn’t match. Try again.",
+      "parental.pin.incorrect": "Incorrect PIN.",
+      "access.expired":
+        "Your rental has expired. Rent or buy again to keep watching.",
+      "access.members": "This title is included with a WatchVIM membership.",
+      "access.purchase": "This title is available to rent or buy.",
+      "plans.tagline": "Unlimited access to member titles, ad-free.",
+      "plans.none": "No membership plans are published yet.",
+      "plans.fallbackName": "Plan",
+      "plans.current": "Your current plan",
+      "plans.unavailable": "Not available yet.",
+      "plans.notConfigured": "Subscription checkout is not configured yet.",
+      "plans.paypalLoadFailed": "Couldn’t load PayPal. Please try again.",
+      "plans.paypalFailed": "PayPal couldn’t complete the subscription.",
+      "plans.pending":
+        "Payment received, but the membership isn’t confirmed yet. It will appear shortly.",
+      "membership.title": "Membership",
+      "membership.endsOn": "Ends on {date}",
+      "membership.renewsOn": "Renews on {date}",
+      "membership.cancel": "Cancel Membership",
+      "membership.none": "You’re not a member yet.",
+      "membership.seePlans": "See Plans",
+      "membership.confirmCancel":
+        "Cancel your membership at the end of this billing period?",
+      "membership.cancelFailed":
+        "Couldn’t cancel the membership. Please try again.",
+      "loop.title": "LIVE Loop Channel",
+      "loop.channel": "CH {number}",
+      "loop.channelUp": "CH ▲",
+      "loop.channelDown": "CH ▼",
+      "loop.adsEvery": "Ads every {count} mins",
+      "loop.now": "Now: {label}",
+      "loop.nextAt": "Next at {time}: {label}",
+      "loop.unavailable":
+        "This program isn't available on this profile. The channel continues at {time}.",
+      "loop.guide": "Guide",
+      "loop.nextProgram": "Next program →",
+      "loop.watchLive": "Watch LIVE",
+      "loop.empty": "No LIVE rotation items are published yet.",
+      "loop.emptyHint": "In CMS → LIVE → add rotation items → Publish.",
+      "ad.sponsored": "Sponsored",
+      "ad.label": "Ad",
+      "ad.learnMore": "Learn more",
+      "ad.skipIn": "Skip in {seconds}",
+      "ad.skip": "Skip Ad →",
+      "legal.terms.title": "Terms of Use",
+      "legal.terms.description":
+        "These Terms of Use govern your access to and use of the WatchVIM service, including apps, website, and video content.",
+      "legal.privacy.title": "Privacy Policy",
+      "legal.privacy.description":
+        "This Privacy Policy explains how WatchVIM collects, uses, and protects your information when you use our services.",
+      "legal.refund.title": "Refund Policy",
+      "legal.refund.description":
+        "This Refund Policy describes when a subscription or transaction on WatchVIM may be eligible for a refund.",
+      "legal.placeholder":
+        "This page is provided for informational purposes. For finalized legal language, please consult your legal counsel and update this copy accordingly.",
+      "legal.support":
+        "If you are a customer with questions about your account, subscription, or billing history, please contact support at {email}.",
+      "diag.title": "Catalog Diagnostics",
+      "diag.errors": { one: "{count} error", other: "{count} errors" },
+      "diag.warnings": { one: "{count} warning", other: "{count} warnings" },
+      "diag.titles": { one: "{count} title", other: "{count} titles" },
+      "diag.level.error": "Error",
+      "diag.level.warning": "Warning",
+      "diag.noProblems": "No problems found.",
+      "diag.consoleHint": "Run {code} in the console to check a draft catalog.",
+      "diag.vast.title": "VAST fixtures",
+      "diag.vast.run": "Run",
+      "diag.vast.skip": "skip {seconds}s",
+      "diag.vast.pass": "Pass",
+      "diag.vast.fail": "Fail",
+      "diag.vast.expect.inline": "1280px MP4, 15s, skip 5s",
+      "diag.vast.expect.wrapper": "inline ad, 2 impression pixels",
+      "diag.vast.expect.wrapperChain": "inline ad, 3 impression pixels",
+      "diag.vast.expect.wrapperLoop": "Too many VAST wrappers",
+      "diag.vast.expect.noMedia": "no playable media file",
+      "diag.vast.expect.noAds": "VAST response has no ads",
+    },
+    es: {
+      "tab.Home": "Inicio",
+      "tab.Movies": "Películas",
+      "tab.Series": "Series",
+      "tab.Shorts": "Cortos",
+      "tab.Foreign": "Internacional",
+      "tab.LIVE": "EN VIVO",
+      "tab.Search": "Buscar",
+      "nav.myList": "Mi lista",
+      "nav.profile": "Perfil",
+      "nav.logIn": "Iniciar sesión",
+      "nav.logOut": "Cerrar sesión",
+      "nav.switchProfile": "Cambiar perfil",
+      "nav.back": "← Volver",
+      "cta.becomeMember": "Hazte miembro",
+      "cta.view": "Ver",
+      "cta.playTrailer": "Ver tráiler",
+      "cta.trailer": "Tráiler",
+      "cta.logIn": "Iniciar sesión",
+      "cta.logInToWatch": "Inicia sesión para ver",
+      "cta.logInToRent": "Inicia sesión para alquilar/comprar",
+      "cta.watch": "Ver",
+      "cta.watchNow": "Ver ahora",
+      "cta.watchWithAds": "Ver gratis con anuncios",
+      "cta.watchRented": "Ver (alquilado – {time})",
+      "cta.rentBuy": "Alquilar / Comprar",
+      "cta.locked": "🔒 Bloqueado",
+      "cta.hoursLeft": "quedan {count} h",
+      "cta.minsLeft": "quedan {count} min",
+      "live.upcoming": "Empieza pronto",
+      "live.live": "Ver en vivo",
+      "live.replay": "Ver repetición",
+      "live.ended": "Evento finalizado",
+      "live.unavailable": "No disponible en este perfil",
+      "live.badge.live": "● EN VIVO AHORA",
+      "live.badge.upcoming": "Próximamente",
+      "live.badge.replay": "Repetición",
+      "live.badge.ended": "Finalizado",
+      "live.startsAt": "Empieza {time}",
+      "live.startingSoon": "Empieza en breve",
+      "live.countdownDays": "{days} d {clock}",
+      "live.endedTitle": "Este evento ha finalizado.",
+      "live.replaySoon": "La repetición estará disponible aquí pronto.",
+      "myList.add": "+ Mi lista",
+      "myList.saved": "✓ Mi lista",
+      "myList.empty":
+        "Aún no has guardado nada. Usa “+ Mi lista” en cualquier título para guardarlo aquí.",
+      "row.viewAll": "Ver todo",
+      "row.continueWatching": "Seguir viendo",
+      "row.myList": "Mi lista",
+      "row.topMovies": "Películas y documentales destacados",
+      "row.topSeries": "Series destacadas",
+      "row.topShorts": "Cortos destacados",
+      "row.topForeign": "Lo mejor internacional",
+      "row.topTab": "Lo mejor: {tab}",
+      "row.liveEvents": "Eventos en vivo",
+      "type.films": "Película",
+      "type.documentaries": "Documental",
+      "type.series": "Serie",
+      "type.shorts": "Corto",
+      "type.foreign": "Internacional",
+      "type.live": "Evento en vivo",
+      "series.season": "Temporada {number}",
+      "series.episodes": { one: "{count} episodio", other: "{count} episodios" },
+      "series.noSeasons": "Aún no hay temporadas publicadas.",
+      "series.previous": "← Anterior: {code}",
+      "series.next": "Siguiente: {code} →",
+      "gate.title": "Solo para miembros de WatchVIM",
+      "gate.body":
+        "Crea una cuenta gratuita de WatchVIM o hazte miembro para ver todas las películas, series, cortos y nuestro canal LIVE Loop.",
+      "gate.logIn": "Iniciar sesión",
+      "upNext.title": "A continuación",
+      "upNext.playingIn": "Se reproduce en {seconds} s",
+      "upNext.playNow": "Reproducir ahora",
+      "share.button": "Compartir",
+      "share.atTime": "Compartir en este momento",
+      "share.copied": "Enlace copiado",
+      "search.title": "Buscar",
+      "search.placeholder": "Busca títulos, reparto, episodios...",
+      "search.noResults": "Sin resultados.",
+      "search.runtime.short": "Menos de 40 min",
+      "search.runtime.feature": "40–120 min",
+      "search.runtime.long": "Más de 2 horas",
+      "offline.banner":
+        "Sin conexión: mostrando el último catálogo guardado.",
+      "footer.terms": "Términos",
+      "footer.privacy": "Privacidad",
+      "footer.refund": "Política de reembolso",
+      "footer.poweredBy": "© WatchVIM — Con la tecnología de VIM Media",
+      "profile.language": "Idioma",
+      "profile.languageHint": "Se usa en menús y títulos de este perfil.",
+      "profile.title": "Tu perfil",
+      "tracks.button": "Subtítulos y audio",
+      "tracks.subtitles": "Subtítulos",
+      "tracks.off": "Desactivados",
+      "tracks.audio": "Audio",
+      "tracks.size": "Tamaño de subtítulos",
+      "tracks.size.s": "Pequeño",
+      "tracks.size.m": "Mediano",
+      "tracks.size.l": "Grande",
+      "tracks.background": "Fondo de subtítulos",
+      "tracks.bg.none": "Ninguno",
+      "tracks.bg.shaded": "Sombreado",
+      "tracks.bg.solid": "Sólido",
+      "common.untitled": "Sin título",
+      "common.thisTitle": "Este título",
+      "common.notFound": "No encontrado",
+      "common.pageNotFound": "Página no encontrada",
+      "common.titleNotFound": "Título no encontrado",
+      "common.seriesNotFound": "Serie no encontrada",
+      "common.episodeNotFound": "Episodio no encontrado",
+      "common.goHome": "Ir al inicio",
+      "common.goBack": "Volver",
+      "common.cancel": "Cancelar",
+      "common.save": "Guardar",
+      "common.delete": "Eliminar",
+      "common.done": "Listo",
+      "common.loading": "Cargando WatchVIM…",
+      "common.loadFailed": "No se pudo cargar WatchVIM",
+      "common.retry": "Reintentar",
+      "title.mins": "{count} min",
+      "title.actors": "Reparto",
+      "title.director": "Dirección",
+      "title.writers": "Guion",
+      "title.trailerPreview": "Reproducir avance del tráiler",
+      "resume.stoppedAt": "Te quedaste en {time}",
+      "resume.from": "Reanudar desde {time}",
+      "resume.startOver": "Empezar de nuevo",
+      "auth.welcome": "Te damos la bienvenida a WatchVIM",
+      "auth.intro":
+        "Mira películas, series y cortos originales, y nuestro canal LIVE Loop. Crea una cuenta gratuita para desbloquear todo el catálogo.",
+      "auth.fullName": "Nombre completo",
+      "auth.namePlaceholder": "Tu nombre",
+      "auth.email": "Correo electrónico",
+      "auth.password": "Contraseña",
+      "auth.confirmPassword": "Confirmar contraseña",
+      "auth.createAccount": "Crear cuenta",
+      "auth.terms":
+        "Al crear una cuenta aceptas los Términos de uso y la Política de privacidad de WatchVIM.",
+      "auth.checkEmail": "Revisa tu correo para confirmar tu cuenta.",
+      "auth.enterCredentials": "Introduce tu correo y contraseña.",
+      "auth.enterName": "Introduce tu nombre completo.",
+      "auth.fillAll": "Completa todos los campos.",
+      "auth.passwordMismatch": "Las contraseñas no coinciden.",
+      "auth.passwordShort":
+        "La contraseña debe tener al menos {count} caracteres.",
+      "auth.notLoggedIn": "No has iniciado sesión.",
+      "profiles.whoIsWatching": "¿Quién está viendo?",
+      "profiles.manage": "Administrar perfiles",
+      "profiles.changeAvatar": "Cambiar avatar",
+      "profiles.newName": "Nombre del nuevo perfil",
+      "profiles.add": "Añadir perfil",
+      "profiles.defaultName": "Perfil {number}",
+      "profiles.enterName": "Introduce un nombre de perfil.",
+      "profiles.max": "Puedes tener hasta {count} perfiles.",
+      "profiles.minOne": "Se necesita al menos un perfil.",
+      "profiles.confirmDelete": "¿Eliminar el perfil “{name}”?",
+      "parental.title": "Control parental",
+      "parental.limitFor": "Límite de madurez para {name}.",
+      "parental.thisProfile": "este perfil",
+      "parental.raiseNeedsPin": "Para subirlo se necesita el PIN de la cuenta.",
+      "parental.firstSetsPin":
+        "Al fijar un límite primero se crea el PIN de la cuenta.",
+      "parental.limit.kids": "Niños",
+      "parental.limit.family": "Familia",
+      "parental.limit.teen": "Adolescentes",
+      "parental.limit.mature": "Adultos",
+      "parental.limit.none": "Sin límite",
+      "parental.allRatings": "Todo",
+      "parental.changePin": "Cambiar PIN",
+      "parental.setPin": "Crear PIN",
+      "parental.enterPin": "Introducir PIN",
+      "parental.locked": "{title} está bloqueado",
+      "parental.lockedBody":
+        "Tiene la clasificación {rating}, por encima del límite de madurez de este perfil.",
+      "parental.pin.unlock": "Introduce el PIN para desbloquear",
+      "parental.pin.limit":
+        "Introduce el PIN para cambiar el límite de madurez",
+      "parental.pin.change": "Introduce tu PIN actual",
+      "parental.pin.verify": "Introduce el PIN para gestionar perfiles",
+      "parental.pin.confirm": "Confirma tu nuevo PIN",
+      "parental.pin.create": "Crea un PIN de {count} dígitos",
+      "parental.pin.digits": "Introduce {count} dígitos.",
+      "parental.pin.mismatch": "Los PIN no coinciden. Inténtalo de nuevo.",
+      "parental.pin.incorrect": "PIN incorrecto.",
+      "access.expired":
+        "Tu alquiler ha caducado. Alquila o compra de nuevo para seguir viendo.",
+      "access.members":
+        "Este título está incluido en la membresía de WatchVIM.",
+      "access.purchase": "Este título se puede alquilar o comprar.",
+      "plans.tagline":
+        "Acceso ilimitado a los títulos para miembros, sin anuncios.",
+      "plans.none": "Aún no hay planes de membresía publicados.",
+      "plans.fallbackName": "Plan",
+      "plans.current": "Tu plan actual",
+      "plans.unavailable": "Aún no disponible.",
+      "plans.notConfigured":
+        "El pago de suscripciones aún no está configurado.",
+      "plans.paypalLoadFailed": "No se pudo cargar PayPal. Inténtalo de nuevo.",
+      "plans.paypalFailed": "PayPal no pudo completar la suscripción.",
+      "plans.pending":
+        "Pago recibido, pero la membresía aún no está confirmada. Aparecerá en breve.",
+      "membership.title": "Membresía",
+      "membership.endsOn": "Termina el {date}",
+      "membership.renewsOn": "Se renueva el {date}",
+      "membership.cancel": "Cancelar membresía",
+      "membership.none": "Aún no eres miembro.",
+      "membership.seePlans": "Ver planes",
+      "membership.confirmCancel":
+        "¿Cancelar tu membresía al final de este periodo de facturación?",
+      "membership.cancelFailed":
+        "No se pudo cancelar la membresía. Inténtalo de nuevo.",
+      "loop.title": "Canal LIVE Loop",
+      "loop.channel": "CANAL {number}",
+      "loop.channelUp": "CANAL ▲",
+      "loop.channelDown": "CANAL ▼",
+      "loop.adsEvery": "Anuncios cada {count} min",
+      "loop.now": "Ahora: {label}",
+      "loop.nextAt": "A las {time}: {label}",
+      "loop.unavailable":
+        "Este programa no está disponible en este perfil. El canal continúa a las {time}.",
+      "loop.guide": "Guía",
+      "loop.nextProgram": "Siguiente programa →",
+      "loop.watchLive": "Ver EN VIVO",
+      "loop.empty": "Aún no hay elementos publicados en la rotación LIVE.",
+      "loop.emptyHint":
+        "En el CMS → LIVE → añade elementos a la rotación → Publicar.",
+      "ad.sponsored": "Patrocinado",
+      "ad.label": "Anuncio",
+      "ad.learnMore": "Más información",
+      "ad.skipIn": "Omitir en {seconds}",
+      "ad.skip": "Omitir anuncio →",
+      "legal.terms.title": "Términos de uso",
+      "legal.terms.description":
+        "Estos Términos de uso rigen tu acceso y uso del servicio WatchVIM, incluidas las apps, el sitio web y el contenido de video.",
+      "legal.privacy.title": "Política de privacidad",
+      "legal.privacy.description":
+        "Esta Política de privacidad explica cómo WatchVIM recopila, usa y protege tu información cuando usas nuestros servicios.",
+      "legal.refund.title": "Política de reembolso",
+      "legal.refund.description":
+        "Esta Política de reembolso describe cuándo una suscripción o transacción en WatchVIM puede ser elegible para un reembolso.",
+      "legal.placeholder":
+        "Esta página se ofrece con fines informativos. Para el texto legal definitivo, consulta con tu asesor legal y actualiza este contenido en consecuencia.",
+      "legal.support":
+        "Si eres cliente y tienes preguntas sobre tu cuenta, suscripción o historial de facturación, contacta con soporte en {email}.",
+      "diag.title": "Diagnóstico del catálogo",
+      "diag.errors": { one: "{count} error", other: "{count} errores" },
+      "diag.warnings": { one: "{count} aviso", other: "{count} avisos" },
+      "diag.titles": { one: "{count} título", other: "{count} títulos" },
+      "diag.level.error": "Error",
+      "diag.level.warning": "Aviso",
+      "diag.noProblems": "No se encontraron problemas.",
+      "diag.consoleHint":
+        "Ejecuta {code} en la consola para revisar un catálogo en borrador.",
+      "diag.vast.title": "Fixtures VAST",
+      "diag.vast.run": "Ejecutar",
+      "diag.vast.skip": "omitir a los {seconds} s",
+      "diag.vast.pass": "Correcto",
+      "diag.vast.fail": "Fallo",
+      "diag.vast.expect.inline": "MP4 de 1280 px, 15 s, omitir a los 5 s",
+      "diag.vast.expect.wrapper": "anuncio inline, 2 píxeles de impresión",
+      "diag.vast.expect.wrapperChain": "anuncio inline, 3 píxeles de impresión",
+      "diag.vast.expect.wrapperLoop": "Demasiados wrappers VAST",
+      "diag.vast.expect.noMedia": "ningún archivo multimedia reproducible",
+      "diag.vast.expect.noAds": "La respuesta VAST no tiene anuncios",
+    },
+    ar: {
+      "tab.Home": "الرئيسية",
+      "tab.Movies": "أفلام",
+      "tab.Series": "مسلسلات",
+      "tab.Shorts": "أفلام قصيرة",
+      "tab.Foreign": "عالمي",
+      "tab.LIVE": "مباشر",
+      "tab.Search": "بحث",
+      "nav.myList": "قائمتي",
+      "nav.profile": "الملف الشخصي",
+      "nav.logIn": "تسجيل الدخول",
+      "nav.logOut": "تسجيل الخروج",
+      "nav.switchProfile": "تبديل الملف الشخصي",
+      "nav.back": "→ رجوع",
+      "cta.becomeMember": "اشترك الآن",
+      "cta.view": "عرض",
+      "cta.playTrailer": "تشغيل الإعلان",
+      "cta.trailer": "الإعلان",
+      "cta.logIn": "تسجيل الدخول",
+      "cta.logInToWatch": "سجّل الدخول للمشاهدة",
+      "cta.logInToRent": "سجّل الدخول للاستئجار أو الشراء",
+      "cta.watch": "شاهد",
+      "cta.watchNow": "شاهد الآن",
+      "cta.watchWithAds": "شاهد مجانًا مع إعلانات",
+      "cta.watchRented": "شاهد (مستأجر – {time})",
+      "cta.rentBuy": "استئجار / شراء",
+      "cta.locked": "🔒 مقفل",
+      "cta.hoursLeft": "متبقٍ {count} س",
+      "cta.minsLeft": "متبقٍ {count} د",
+      "live.upcoming": "يبدأ قريبًا",
+      "live.live": "شاهد مباشرة",
+      "live.replay": "شاهد الإعادة",
+      "live.ended": "انتهى الحدث",
+      "live.unavailable": "غير متاح لهذا الملف الشخصي",
+      "live.badge.live": "● مباشر الآن",
+      "live.badge.upcoming": "قادم",
+      "live.badge.replay": "إعادة",
+      "live.badge.ended": "انتهى",
+      "live.startsAt": "يبدأ {time}",
+      "live.startingSoon": "يبدأ بعد قليل",
+      "live.countdownDays": "{days} ي {clock}",
+      "live.endedTitle": "انتهى هذا الحدث.",
+      "live.replaySoon": "ستتوفر الإعادة هنا قريبًا.",
+      "myList.add": "+ قائمتي",
+      "myList.saved": "✓ قائمتي",
+      "myList.empty":
+        "لم تحفظ شيئًا بعد. استخدم “+ قائمتي” على أي عنوان للاحتفاظ به هنا.",
+      "row.viewAll": "عرض الكل",
+      "row.continueWatching": "متابعة المشاهدة",
+      "row.myList": "قائمتي",
+      "row.topMovies": "أفضل الأفلام والوثائقيات",
+      "row.topSeries": "أفضل المسلسلات",
+      "row.topShorts": "أفضل الأفلام القصيرة",
+      "row.topForeign": "الأفضل عالميًا",
+      "row.topTab": "الأفضل: {tab}",
+      "row.liveEvents": "أحداث مباشرة",
+      "type.films": "فيلم",
+      "type.documentaries": "وثائقي",
+      "type.series": "مسلسل",
+      "type.shorts": "فيلم قصير",
+      "type.foreign": "عالمي",
+      "type.live": "حدث مباشر",
+      "series.season": "الموسم {number}",
+      "series.episodes": {
+        zero: "لا توجد حلقات",
+        one: "حلقة واحدة",
+        two: "حلقتان",
+        few: "{count} حلقات",
+        many: "{count} حلقة",
+        other: "{count} حلقة",
+      },
+      "series.noSeasons": "لم تُنشر أي مواسم بعد.",
+      "series.previous": "→ السابق: {code}",
+      "series.next": "التالي: {code} ←",
+      "gate.title": "لأعضاء WatchVIM فقط",
+      "gate.body":
+        "أنشئ حسابًا مجانيًا على WatchVIM أو اشترك لمشاهدة جميع الأفلام والمسلسلات والأفلام القصيرة وقناة LIVE Loop.",
+      "gate.logIn": "تسجيل الدخول",
+      "upNext.title": "التالي",
+      "upNext.playingIn": "يبدأ خلال {seconds} ث",
+      "upNext.playNow": "شغّل الآن",
+      "share.button": "مشاركة",
+      "share.atTime": "مشاركة من هذه اللحظة",
+      "share.copied": "تم نسخ الرابط",
+      "search.title": "بحث",
+      "search.placeholder": "ابحث عن العناوين أو الممثلين أو الحلقات...",
+      "search.noResults": "لا توجد نتائج.",
+      "search.runtime.short": "أقل من 40 دقيقة",
+      "search.runtime.feature": "40–120 دقيقة",
+      "search.runtime.long": "أكثر من ساعتين",
+      "offline.banner": "أنت غير متصل — يتم عرض آخر كتالوج محفوظ.",
+      "footer.terms": "الشروط",
+      "footer.privacy": "الخصوصية",
+      "footer.refund": "سياسة الاسترداد",
+      "footer.poweredBy": "© WatchVIM — بدعم من VIM Media",
+      "profile.language": "اللغة",
+      "profile.languageHint": "تُستخدم للقوائم والعناوين في هذا الملف الشخصي.",
+      "profile.title": "ملفك الشخصي",
+      "tracks.button": "الترجمة والصوت",
+      "tracks.subtitles": "الترجمة",
+      "tracks.off": "إيقاف",
+      "tracks.audio": "الصوت",
+      "tracks.size": "حجم الترجمة",
+      "tracks.size.s": "صغير",
+      "tracks.size.m": "متوسط",
+      "tracks.size.l": "كبير",
+      "tracks.background": "خلفية الترجمة",
+      "tracks.bg.none": "بدون",
+      "tracks.bg.shaded": "مظللة",
+      "tracks.bg.solid": "داكنة",
+      "common.untitled": "بلا عنوان",
+      "common.thisTitle": "هذا العنوان",
+      "common.notFound": "غير موجود",
+      "common.pageNotFound": "الصفحة غير موجودة",
+      "common.titleNotFound": "العنوان غير موجود",
+      "common.seriesNotFound": "المسلسل غير موجود",
+      "common.episodeNotFound": "الحلقة غير موجودة",
+      "common.goHome": "الذهاب إلى الرئيسية",
+      "common.goBack": "رجوع",
+      "common.cancel": "إلغاء",
+      "common.save": "حفظ",
+      "common.delete": "حذف",
+      "common.done": "تم",
+      "common.loading": "جارٍ تحميل WatchVIM…",
+      "common.loadFailed": "تعذّر تحميل WatchVIM",
+      "common.retry": "إعادة المحاولة",
+      "title.mins": "{count} دقيقة",
+      "title.actors": "الممثلون",
+      "title.director": "الإخراج",
+      "title.writers": "التأليف",
+      "title.trailerPreview": "تشغيل معاينة الإعلان",
+      "resume.stoppedAt": "توقفت عند {time}",
+      "resume.from": "استئناف من {time}",
+      "resume.startOver": "البدء من جديد",
+      "auth.welcome": "مرحبًا بك في WatchVIM",
+      "auth.intro":
+        "شاهد أفلامًا ومسلسلات وأفلامًا قصيرة أصلية وقناة LIVE Loop. أنشئ حسابًا مجانيًا لفتح الكتالوج بالكامل.",
+      "auth.fullName": "الاسم الكامل",
+      "auth.namePlaceholder": "اسمك",
+      "auth.email": "البريد الإلكتروني",
+      "auth.password": "كلمة المرور",
+      "auth.confirmPassword": "تأكيد كلمة المرور",
+      "auth.createAccount": "إنشاء حساب",
+      "auth.terms":
+        "بإنشائك حسابًا فإنك توافق على شروط الاستخدام وسياسة الخصوصية الخاصة بـ WatchVIM.",
+      "auth.checkEmail": "تحقق من بريدك الإلكتروني لتأكيد حسابك.",
+      "auth.enterCredentials": "أدخل البريد الإلكتروني وكلمة المرور.",
+      "auth.enterName": "يرجى إدخال اسمك الكامل.",
+      "auth.fillAll": "املأ جميع الحقول.",
+      "auth.passwordMismatch": "كلمتا المرور غير متطابقتين.",
+      "auth.passwordShort": "يجب ألا تقل كلمة المرور عن {count} أحرف.",
+      "auth.notLoggedIn": "لم تسجّل الدخول.",
+      "profiles.whoIsWatching": "من يشاهد؟",
+      "profiles.manage": "إدارة الملفات الشخصية",
+      "profiles.changeAvatar": "تغيير الصورة الرمزية",
+      "profiles.newName": "اسم الملف الشخصي الجديد",
+      "profiles.add": "إضافة ملف شخصي",
+      "profiles.defaultName": "الملف الشخصي {number}",
+      "profiles.enterName": "أدخل اسمًا للملف الشخصي.",
+      "profiles.max": "يمكنك إنشاء {count} ملفات شخصية كحد أقصى.",
+      "profiles.minOne": "يلزم وجود ملف شخصي واحد على الأقل.",
+      "profiles.confirmDelete": "حذف الملف الشخصي “{name}”؟",
+      "parental.title": "الرقابة الأبوية",
+      "parental.limitFor": "حد النضج لـ {name}.",
+      "parental.thisProfile": "هذا الملف الشخصي",
+      "parental.raiseNeedsPin": "يتطلب رفعه رمز PIN الخاص بالحساب.",
+      "parental.firstSetsPin":
+        "يؤدي تعيين حد أولًا إلى إنشاء رمز PIN الخاص بالحساب.",
+      "parental.limit.kids": "أطفال",
+      "parental.limit.family": "عائلي",
+      "parental.limit.teen": "مراهقون",
+      "parental.limit.mature": "بالغون",
+      "parental.limit.none": "بلا حد",
+      "parental.allRatings": "كل التصنيفات",
+      "parental.changePin": "تغيير رمز PIN",
+      "parental.setPin": "تعيين رمز PIN",
+      "parental.enterPin": "أدخل رمز PIN",
+      "parental.locked": "{title} مقفل",
+      "parental.lockedBody":
+        "تصنيفه {rating}، وهو أعلى من حد النضج لهذا الملف الشخصي.",
+      "parental.pin.unlock": "أدخل رمز PIN لإلغاء القفل",
+      "parental.pin.limit": "أدخل رمز PIN لتغيير حد النضج",
+      "parental.pin.change": "أدخل رمز PIN الحالي",
+      "parental.pin.verify": "أدخل رمز PIN لإدارة الملفات الشخصية",
+      "parental.pin.confirm": "أكّد رمز PIN الجديد",
+      "parental.pin.create": "أنشئ رمز PIN من {count} أرقام",
+      "parental.pin.digits": "أدخل {count} أرقام.",
+      "parental.pin.mismatch": "رمزا PIN غير متطابقين. حاول مرة أخرى.",
+      "parental.pin.incorrect": "رمز PIN غير صحيح.",
+      "access.expired":
+        "انتهت مدة الاستئجار. استأجر أو اشترِ مجددًا لمتابعة المشاهدة.",
+      "access.members": "هذا العنوان مضمّن في عضوية WatchVIM.",
+      "access.purchase": "هذا العنوان متاح للاستئجار أو الشراء.",
+      "plans.tagline": "وصول غير محدود إلى عناوين الأعضاء دون إعلانات.",
+      "plans.none": "لم تُنشر أي خطط عضوية بعد.",
+      "plans.fallbackName": "خطة",
+      "plans.current": "خطتك الحالية",
+      "plans.unavailable": "غير متاح بعد.",
+      "plans.notConfigured": "لم يتم إعداد الدفع للاشتراكات بعد.",
+      "plans.paypalLoadFailed": "تعذّر تحميل PayPal. يرجى المحاولة مرة أخرى.",
+      "plans.paypalFailed": "تعذّر على PayPal إكمال الاشتراك.",
+      "plans.pending":
+        "تم استلام الدفعة، لكن العضوية لم تُؤكَّد بعد. ستظهر قريبًا.",
+      "membership.title": "العضوية",
+      "membership.endsOn": "تنتهي في {date}",
+      "membership.renewsOn": "تتجدد في {date}",
+      "membership.cancel": "إلغاء العضوية",
+      "membership.none": "لست عضوًا بعد.",
+      "membership.seePlans": "عرض الخطط",
+      "membership.confirmCancel":
+        "هل تريد إلغاء عضويتك في نهاية فترة الفوترة هذه؟",
+      "membership.cancelFailed": "تعذّر إلغاء العضوية. يرجى المحاولة مرة أخرى.",
+      "loop.title": "قناة LIVE Loop",
+      "loop.channel": "القناة {number}",
+      "loop.channelUp": "القناة ▲",
+      "loop.channelDown": "القناة ▼",
+      "loop.adsEvery": "إعلانات كل {count} دقيقة",
+      "loop.now": "الآن: {label}",
+      "loop.nextAt": "التالي في {time}: {label}",
+      "loop.unavailable":
+        "هذا البرنامج غير متاح لهذا الملف الشخصي. يستمر البث على القناة في {time}.",
+      "loop.guide": "الدليل",
+      "loop.nextProgram": "البرنامج التالي ←",
+      "loop.watchLive": "شاهد البث المباشر",
+      "loop.empty": "لم تُنشر أي عناصر في دورة البث المباشر بعد.",
+      "loop.emptyHint":
+        "في نظام إدارة المحتوى ← LIVE ← أضف عناصر الدورة ← نشر.",
+      "ad.sponsored": "إعلان ممول",
+      "ad.label": "إعلان",
+      "ad.learnMore": "اعرف المزيد",
+      "ad.skipIn": "التخطي بعد {seconds}",
+      "ad.skip": "← تخطي الإعلان",
+      "legal.terms.title": "شروط الاستخدام",
+      "legal.terms.description":
+        "تحكم شروط الاستخدام هذه وصولك إلى خدمة WatchVIM واستخدامك لها، بما في ذلك التطبيقات والموقع الإلكتروني ومحتوى الفيديو.",
+      "legal.privacy.title": "سياسة الخصوصية",
+      "legal.privacy.description":
+        "توضح سياسة الخصوصية هذه كيف تجمع WatchVIM معلوماتك وتستخدمها وتحميها عند استخدامك لخدماتنا.",
+      "legal.refund.title": "سياسة الاسترداد",
+      "legal.refund.description":
+        "توضح سياسة الاسترداد هذه متى قد يكون الاشتراك أو المعاملة على WatchVIM مؤهلًا لاسترداد المبلغ.",
+      "legal.placeholder":
+        "هذه الصفحة مقدمة لأغراض إعلامية. للحصول على الصياغة القانونية النهائية، يرجى استشارة مستشارك القانوني وتحديث هذا النص وفقًا لذلك.",
+      "legal.support":
+        "إذا كنت عميلًا ولديك أسئلة حول حسابك أو اشتراكك أو سجل الفواتير، يرجى التواصل مع الدعم عبر {email}.",
+      "diag.title": "تشخيص الكتالوج",
+      "diag.errors": {
+        zero: "لا أخطاء",
+        one: "خطأ واحد",
+        two: "خطآن",
+        few: "{count} أخطاء",
+        many: "{count} خطأً",
+        other: "{count} خطأ",
+      },
+      "diag.warnings": {
+        zero: "لا تحذيرات",
+        one: "تحذير واحد",
+        two: "تحذيران",
+        few: "{count} تحذيرات",
+        many: "{count} تحذيرًا",
+        other: "{count} تحذير",
+      },
+      "diag.titles": {
+        zero: "لا عناوين",
+        one: "عنوان واحد",
+        two: "عنوانان",
+        few: "{count} عناوين",
+        many: "{count} عنوانًا",
+        other: "{count} عنوان",
+      },
+      "diag.level.error": "خطأ",
+      "diag.level.warning": "تحذير",
+      "diag.noProblems": "لم يتم العثور على مشكلات.",
+      "diag.consoleHint": "شغّل {code} في وحدة التحكم لفحص كتالوج مسودة.",
+      "diag.vast.title": "نماذج VAST",
+      "diag.vast.run": "تشغيل",
+      "diag.vast.skip": "التخطي بعد {seconds} ث",
+      "diag.vast.pass": "نجح",
+      "diag.vast.fail": "فشل",
+      "diag.vast.expect.inline": "ملف MP4 بعرض 1280 بكسل، 15 ث، التخطي بعد 5 ث",
+      "diag.vast.expect.wrapper": "إعلان مضمّن، بكسلا ظهور",
+      "diag.vast.expect.wrapperChain": "إعلان مضمّن، 3 بكسلات ظهور",
+      "diag.vast.expect.wrapperLoop": "عدد كبير جدًا من أغلفة VAST",
+      "diag.vast.expect.noMedia": "لا يوجد ملف وسائط قابل للتشغيل",
+      "diag.vast.expect.noAds": "استجابة VAST لا تحتوي على إعلانات",
+    },
   };
 
+  let currentLocale = DEFAULT_LOCALE;
+  const pluralRules = new Map();
+
+  function baseLang(locale) {
+    return String(locale || "")
+      .toLowerCase()
+      .split("-")[0];
+  }
+
+  // Saved profile preference first, then the browser's languages.
+  function detectLocale() {
+    const wanted = [
+      readPrefs().locale,
+      ...(navigator.languages || [navigator.language]),
+    ];
+    for (const locale of wanted) {
+      if (LOCALE_BUNDLES[baseLang(locale)]) return baseLang(locale);
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function applyLocale(locale = detectLocale()) {
+    currentLocale = locale;
+    const root = document.documentElement;
+    root.lang = locale;
+    root.dir = RTL_LANGS.includes(baseLang(locale)) ? "rtl" : "ltr";
+    if (state.catalog) state.searchIndex = buildSearchIndex(state.titles);
+  }
+
+  async function setLocale(locale) {
+    if (!LOCALE_BUNDLES[locale]) return;
+    await savePrefs({ locale });
+    applyLocale(locale);
+    // Loop slots copy their labels from titles when the channels are built.
+    if (state.catalog) initLoopChannels();
+    render();
+  }
+
+  function tr(key, vars = {}) {
+    const entry =
+      LOCALE_BUNDLES[currentLocale]?.[key] ?? LOCALE_BUNDLES.en[key] ?? key;
+    const text =
+      typeof entry === "string"
+        ? entry
+        : entry[pluralRulesFor(currentLocale).select(vars.count)] ??
+          entry.other;
+    return text.replace(/\{(\w+)\}/g, (m, name) =>
+      name in vars ? String(vars[name]) : m
+    );
+  }
+
+  function pluralRulesFor(locale) {
+    if (!pluralRules.has(locale)) {
+      pluralRules.set(locale, new Intl.PluralRules(locale));
+    }
+    return pluralRules.get(locale);
+  }
+
+  // Catalog text in the current locale. Translations are looked up as the
+  // text is shown, so the catalog's own fields keep the source language.
+  function localized(item, field) {
+    const all = item?.translations || {};
+    const overlay = all[currentLocale] || all[baseLang(currentLocale)] || {};
+    return overlay[field] ?? item?.[field];
+  }
+
   // =========================================================
   // FEATURED + CONTINUE WATCHING
   // =========================================================
@@ -358,8 +1840,9 @@
           if (!it) return null;
           if (typeof it === "string") return state.byId.get(it);
           if (it.refId) return state.byId.get(it.refId);
-          if (it.id) return state.byId.get(it.id) || it;
-          return it;
+          if (state.byId.has(it.id)) return state.byId.get(it.id);
+          // A hero-only entry that isn't in the catalog.
+          return { ...it, genre: genreList(it.genre) };
         })
         .filter(Boolean);
     }
@@ -370,8 +1853,7 @@
         t.featured === true ||
         (Array.isArray(t.tags) &&
           t.tags.some((tag) => /featured/i.test(tag))) ||
-        (Array.isArray(t.genre) &&
-          t.genre.some((g) => /featured/i.test(g)))
+        t.genre.some((g) => /featured/i.test(g))
     );
   }
 
@@ -383,10 +1865,12 @@
     });
   }
 
+  const LAST_WATCHED_KEY = "watchvim_last_watched";
+
   function readLastWatched() {
     try {
       return JSON.parse(
-        localStorage.getItem("watchvim_last_watched") || "[]"
+        localStorage.getItem(scopedKey(LAST_WATCHED_KEY)) || "[]"
       );
     } catch {
       return [];
@@ -394,1088 +1878,4693 @@
   }
   function saveLastWatched(items) {
     localStorage.setItem(
-      "watchvim_last_watched",
+      scopedKey(LAST_WATCHED_KEY),
       JSON.stringify(items.slice(0, 20))
     );
   }
-  function markWatched(titleId, progress = 0) {
-    const items = readLastWatched().filter((x) => x.titleId !== titleId);
-    items.unshift({ titleId, progress, at: Date.now() });
+
+  // Progress is stored per playable item: a film/short uses its title id,
+  // an episode uses its episode id and carries the parent seriesId.
+  const PROGRESS_SAVE_INTERVAL_MS = 5000;
+  const RESUME_MIN_SECS = 15;
+  const WATCHED_DONE_RATIO = 0.95;
+
+  function getProgress(id) {
+    return readLastWatched().find((x) => x.titleId === id) || null;
+  }
+
+  function saveProgress(id, { seriesId = null, position = 0, duration = 0 } = {}) {
+    const pos = Number(position) || 0;
+    const dur = Number(duration) || 0;
+    if (dur && pos / dur >= WATCHED_DONE_RATIO) {
+      return finishProgress(id, seriesId);
+    }
+
+    const items = readLastWatched().filter((x) => x.titleId !== id);
+    items.unshift({
+      titleId: id,
+      seriesId: seriesId || null,
+      position: Math.floor(pos),
+      duration: Math.floor(dur),
+      at: Date.now(),
+    });
     saveLastWatched(items);
   }
 
+  function clearProgress(id) {
+    saveLastWatched(readLastWatched().filter((x) => x.titleId !== id));
+  }
+
+  // A finished episode hands its place in Continue Watching to the one after
+  // it, crossing into the next season if need be; only the finale drops the
+  // series.
+  function finishProgress(id, seriesId = null) {
+    clearProgress(id);
+    const ep = seriesId ? state.byId.get(id) : null;
+    if (!ep) return;
+    const next = adjacentEpisode(
+      state.byId.get(seriesId),
+      ep.__seasonIndex,
+      ep.__epIndex,
+      1
+    );
+    if (next && !getProgress(next.episode.id)) {
+      saveProgress(next.episode.id, { seriesId });
+    }
+  }
+
+  function progressRatio(entry) {
+    if (!entry?.duration) return 0;
+    return Math.max(0, Math.min(1, entry.position / entry.duration));
+  }
+
+  // For a series the most recent episode entry stands in for the whole show.
+  function progressForTitle(t) {
+    if (!t) return null;
+    if (t.type === "series") {
+      return readLastWatched().find((x) => x.seriesId === t.id) || null;
+    }
+    return getProgress(t.id);
+  }
+
+  function continueWatchingItems() {
+    const seen = new Set();
+    return readLastWatched()
+      .map((x) => {
+        const item = state.byId.get(x.seriesId || x.titleId);
+        if (!item || seen.has(item.id)) return null;
+        seen.add(item.id);
+        return item;
+      })
+      .filter(Boolean);
+  }
+
+  function formatClock(secs) {
+    const total = Math.max(0, Math.floor(Number(secs) || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+  }
+
   // =========================================================
-  // SHELL
+  // HOUSEHOLD PROFILES ("Who's watching?")
   // =========================================================
-  function Header() {
-    const tabs = ["Home", "Movies", "Series", "Shorts", "Foreign", "LIVE", "Search"];
-    const loggedIn = isLoggedIn();
+  const PROFILES_TABLE = "household_profiles";
+  const MAX_PROFILES = 5;
+  const PROFILE_AVATARS = ["🎬", "🍿", "🦁", "🚀", "🌟", "🎧", "🐼", "🎮"];
 
-    return `
-      <header class="sticky top-0 z-30 bg-watchBlack/95 backdrop-blur border-b border-white/10 safe-bottom">
-        <div class="px-4 py-3 flex items-center gap-3">
-          <div class="flex items-center gap-2 cursor-pointer" onclick="setTab('Home')">
-            <img
-              id="appLogo"
-              src="${esc(CONFIG.LOGO_URL)}"
-              alt="WatchVIM"
-              class="h-8 w-auto object-contain"
-              onerror="this.onerror=null;this.style.display='none';document.getElementById('logoFallback').classList.remove('hidden');"
-            />
-            <div id="logoFallback" class="hidden text-lg font-black tracking-wide">WatchVIM</div>
-          </div>
+  // Per-profile localStorage key; guests keep the plain key.
+  function scopedKey(base) {
+    return state.profile ? `${base}_${state.profile.id}` : base;
+  }
 
-          <nav class="ml-auto flex gap-2 text-sm">
-            ${tabs
-              .map(
-                (tab) => `
-              <button
-                class="tv-focus px-3 py-1.5 rounded-full ${
-                  state.activeTab === tab
-                    ? "bg-white/15 text-white"
-                    : "text-white/70 hover:bg-white/10"
-                }"
-                onclick="${
-                  tab === "Search" ? "navTo('#/search')" : `setTab('${tab}')`
-                }"
-              >${tab}</button>
-            `
-              )
-              .join("")}
-          </nav>
+  function profilesCacheKey() {
+    return `watchvim_profiles_${state.user.id}`;
+  }
 
-          <div class="ml-2 flex gap-2 text-sm">
-            ${
-              loggedIn
-                ? `
-              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="navTo('#/profile')">Profile</button>
-              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="signOut()">Log out</button>
-            `
-                : `
-              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="navTo('#/login?mode=login')">Log in</button>
-              <button class="tv-focus px-3 py-1.5 rounded-lg bg-watchRed font-bold hover:opacity-90" onclick="navTo('#/login?mode=signup')">Become a Member</button>
-            `
-            }
-          </div>
-        </div>
-      </header>
-    `;
+  function activeProfileKey() {
+    return `watchvim_active_profile_${state.user.id}`;
   }
 
-  function MobileTabBar() {
-    if (isTV()) return "";
-    const items = ["Home", "Movies", "Series", "Shorts", "Foreign", "LIVE"];
-    return `
-      <footer class="fixed bottom-0 left-0 right-0 bg-watchBlack/95 border-t border-white/10 safe-bottom">
-        <div class="flex justify-around px-2 py-2">
-          ${items
-            .map(
-              (tab) => `
-            <button class="tv-focus flex-1 mx-1 py-2 rounded-lg text-xs ${
-              state.activeTab === tab ? "bg-white text-black" : "bg-white/10"
-            }" onclick="setTab('${tab}')">${tab}</button>
-          `
-            )
-            .join("")}
-        </div>
-      </footer>
-    `;
+  function newProfileId() {
+    return window.crypto?.randomUUID
+      ? crypto.randomUUID()
+      : `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
   }
 
-  function setTab(tab) {
-    state.activeTab = tab;
-    if (tab === "LIVE") navTo("#/loop");
-    else navTo("#/home");
+  function cacheProfiles() {
+    localStorage.setItem(profilesCacheKey(), JSON.stringify(state.profiles));
+  }
+
+  function readCachedProfiles() {
+    try {
+      const list = JSON.parse(localStorage.getItem(profilesCacheKey()) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function applyProfiles(profiles) {
+    state.profiles = profiles;
+    const savedId = localStorage.getItem(activeProfileKey());
+    state.profile =
+      state.profiles.find((p) => p.id === savedId) || state.profiles[0] || null;
+    cacheProfiles();
+    applyLocale();
+    if (state.catalog) initLoopChannels();
+  }
+
+  // Loads profiles for the signed-in user and makes sure there is always at
+  // least one to watch as. The local copy goes in before Supabase answers,
+  // so anything rendered meanwhile already has the profile and its limits.
+  async function loadProfiles() {
+    state.profiles = [];
+    state.profile = null;
+    if (!state.user) return applyLocale();
+
+    applyProfiles(readCachedProfiles());
+    if (supabase) {
+      try {
+        const { data, error } = await supabase
+          .from(PROFILES_TABLE)
+          .select("id, name, avatar, preferences, created_at")
+          .eq("user_id", state.user.id)
+          .order("created_at", { ascending: true });
+        if (error) throw error;
+        if (data?.length) applyProfiles(data);
+      } catch (err) {
+        console.warn("Profiles unavailable; using local copy.", err);
+      }
+    }
+
+    if (!state.profiles.length) {
+      const name =
+        state.user.user_metadata?.full_name?.split(" ")[0] || "Me";
+      await createProfile(name, PROFILE_AVATARS[0], { migrateGuest: true });
+      applyProfiles(state.profiles);
+    }
+  }
+
+  async function createProfile(name, avatar, { migrateGuest = false } = {}) {
+    if (state.profiles.length >= MAX_PROFILES) {
+      return alert(tr("profiles.max", { count: MAX_PROFILES }));
+    }
+    const profile = {
+      id: newProfileId(),
+      name:
+        (name || "").trim() ||
+        tr("profiles.defaultName", { number: state.profiles.length + 1 }),
+      avatar:
+        avatar ||
+        PROFILE_AVATARS[state.profiles.length % PROFILE_AVATARS.length],
+      preferences: {},
+    };
+
+    // The first profile inherits history recorded before profiles existed.
+    if (migrateGuest) {
+      const legacy = localStorage.getItem(LAST_WATCHED_KEY);
+      if (legacy) {
+        localStorage.setItem(`${LAST_WATCHED_KEY}_${profile.id}`, legacy);
+      }
+    }
+
+    state.profiles.push(profile);
+    cacheProfiles();
+    await writeProfile(profile, "insert");
+    return profile;
+  }
+
+  async function updateProfile(id, patch) {
+    const profile = state.profiles.find((p) => p.id === id);
+    if (!profile) return;
+    Object.assign(profile, patch);
+    if (state.profile?.id === id) state.profile = profile;
+    cacheProfiles();
+    await writeProfile(profile, "update");
+  }
+
+  async function deleteProfile(id) {
+    if (state.profiles.length <= 1) {
+      return alert(tr("profiles.minOne"));
+    }
+    state.profiles = state.profiles.filter((p) => p.id !== id);
+    [LAST_WATCHED_KEY, GUEST_LIST_KEY, PREFS_KEY].forEach((base) =>
+      localStorage.removeItem(`${base}_${id}`)
+    );
+    if (state.profile?.id === id) await selectProfile(state.profiles[0].id);
+    cacheProfiles();
+
+    if (!supabase) return;
+    try {
+      const { error } = await supabase
+        .from(PROFILES_TABLE)
+        .delete()
+        .eq("user_id", state.user.id)
+        .eq("id", id);
+      if (error) throw error;
+    } catch (err) {
+      console.warn("Profile delete failed remotely.", err);
+    }
+  }
+
+  async function writeProfile(profile, mode) {
+    if (!supabase || !state.user) return;
+    const row = {
+      id: profile.id,
+      user_id: state.user.id,
+      name: profile.name,
+      avatar: profile.avatar,
+      preferences: profile.preferences || {},
+    };
+    try {
+      const table = supabase.from(PROFILES_TABLE);
+      const { error } =
+        mode === "insert"
+          ? await table.insert(row)
+          : await table.update(row).eq("id", profile.id);
+      if (error) throw error;
+    } catch (err) {
+      console.warn(`Profile ${mode} failed remotely; kept locally.`, err);
+    }
+  }
+
+  async function selectProfile(id) {
+    const profile = state.profiles.find((p) => p.id === id);
+    if (!profile) return;
+    state.profile = profile;
+    state.parentalUnlock = null;
+    localStorage.setItem(activeProfileKey(), id);
+    applyLocale();
+    await syncMyList();
+    initLoopChannels();
   }
 
   // =========================================================
-  // UI BLOCKS
+  // PREFERENCES (per profile)
   // =========================================================
-  function Card(t) {
-    const img = poster(t);
-    const href = t.type === "series" ? `#/series/${t.id}` : `#/title/${t.id}`;
-    const loggedIn = isLoggedIn();
-    const target = loggedIn ? href : "#/login?mode=signup";
+  const PREFS_KEY = "watchvim_prefs";
 
-    return `
-      <button class="tile tv-focus w-[46vw] sm:w-[32vw] md:w-[180px] max-w-[200px] text-left" onclick="navTo('${target}')">
-        <div class="aspect-[2/3] rounded-xl overflow-hidden bg-white/5 border border-white/10">
-          ${
-            img
-              ? `<img src="${esc(img)}" class="w-full h-full object-cover" />`
-              : ""
-          }
-        </div>
-        <div class="mt-2 text-sm font-semibold line-clamp-2">${
-          esc(t.title || "Untitled")
-        }</div>
-        <div class="text-xs text-white/60">${esc(typeLabel(t.type))}</div>
-      </button>
-    `;
+  function readPrefs() {
+    if (state.profile) return state.profile.preferences || {};
+    try {
+      return JSON.parse(localStorage.getItem(PREFS_KEY) || "{}");
+    } catch {
+      return {};
+    }
   }
 
-  function Row(name, items, viewAllTab = null) {
-    if (!items.length) return "";
-    const tabTarget = viewAllTab || name;
-    return `
-      <section class="mt-6 px-4 md:px-8">
-        <div class="flex items-center justify-between mb-2">
-          <h3 class="text-lg font-bold">${esc(name)}</h3>
-          ${
-            viewAllTab
-              ? `
-            <button class="tv-focus text-xs text-white/60 hover:text-white" onclick="setTab('${esc(
-              tabTarget
-            )}')">View all</button>
-          `
-              : ``
-          }
-        </div>
-        <div class="row-scroll flex gap-3 overflow-x-auto pb-2 no-scrollbar">
-          ${items.map(Card).join("")}
-        </div>
-      </section>
-    `;
+  async function savePrefs(patch) {
+    const next = { ...readPrefs(), ...patch };
+    if (state.profile) {
+      await updateProfile(state.profile.id, { preferences: next });
+    } else {
+      localStorage.setItem(PREFS_KEY, JSON.stringify(next));
+    }
+    return next;
   }
 
   // =========================================================
-  // HERO (no autoplay; click/hover only)
+  // PARENTAL CONTROLS (maturity limit per profile, PIN per account)
   // =========================================================
-  function HeroRow(items) {
-    if (!items.length) return "";
-    const t = items[0];
-    const img = hero(t);
-    const hasTrailer = !!t.trailerPlaybackId;
-    const heroId = `hero_${t.id}`;
-    const loggedIn = isLoggedIn();
+  const RATING_LEVELS = {
+    G: 0,
+    "TV-Y": 0,
+    "TV-Y7": 0,
+    "TV-G": 0,
+    PG: 1,
+    "TV-PG": 1,
+    "PG-13": 2,
+    "TV-14": 2,
+    R: 3,
+    "TV-MA": 3,
+    "NC-17": 4,
+    "18+": 4,
+  };
+  const MATURITY_LIMITS = [
+    { level: 0, key: "kids", hint: "G, TV-Y, TV-Y7, TV-G" },
+    { level: 1, key: "family", hint: "PG, TV-PG" },
+    { level: 2, key: "teen", hint: "PG-13, TV-14" },
+    { level: 3, key: "mature", hint: "R, TV-MA" },
+    { level: 4, key: "none", hint: "" },
+  ];
+  const NO_MATURITY_LIMIT = 4;
+  const PIN_LENGTH = 4;
+  const PIN_UNLOCK_MS = 60 * 60 * 1000;
+  const PIN_VERIFIED_MS = 2 * 60 * 1000;
+  const GUEST_PIN_KEY = "watchvim_parental_pin";
+
+  // Episodes without their own rating inherit the series rating.
+  function maturityRating(item) {
+    if (!item) return "";
+    const own = item.maturityRating || item.contentRating || "";
+    if (own || !item.__seriesId) return own;
+    return maturityRating(state.byId.get(item.__seriesId));
+  }
 
-    const viewHref = loggedIn
-      ? `#/${t.type === "series" ? "series" : "title"}/${t.id}`
-      : "#/login?mode=signup";
-    const trailerHref = loggedIn
-      ? `#/watch/${t.id}?kind=trailer`
-      : "#/login?mode=signup";
+  // Unrated items stay visible; unknown rating strings are treated as unrated.
+  function ratingLevel(item) {
+    const key = String(maturityRating(item)).toUpperCase().replace(/\s+/g, "");
+    return key in RATING_LEVELS ? RATING_LEVELS[key] : null;
+  }
 
-    return `
-      <section class="relative w-full overflow-hidden">
-        <div id="${heroId}" class="aspect-video md:aspect-[21/9] bg-black relative">
-          ${
-            img
-              ? `<img id="${heroId}_img" src="${esc(
-                  img
-                )}" class="w-full h-full object-cover opacity-90"/>`
-              : ""
-          }
-          <div class="absolute inset-0 bg-gradient-to-t from-watchBlack via-watchBlack/40 to-transparent"></div>
+  function maturityLimit() {
+    const v = readPrefs().maxRating;
+    return Number.isInteger(v) ? v : NO_MATURITY_LIMIT;
+  }
 
-          ${
-            hasTrailer
-              ? `
-            <button
-              class="tv-focus absolute inset-0 flex items-center justify-center group"
-              onclick="navTo('${trailerHref}')"
-              data-hero-hover="${esc(t.trailerPlaybackId)}"
-              aria-label="Play trailer preview"
-            >
-              <div class="w-16 h-16 md:w-20 md:h-20 rounded-full bg-black/60 border border-white/30 flex items-center justify-center text-3xl md:text-4xl group-hover:scale-105 transition">
-                ▶
-              </div>
-            </button>
-          `
-              : ``
-          }
-        </div>
+  function profileLimit(profile) {
+    const v = profile?.preferences?.maxRating;
+    return Number.isInteger(v) ? v : NO_MATURITY_LIMIT;
+  }
 
-        <div class="absolute left-0 right-0 bottom-0 p-4 md:p-8">
-          <div class="max-w-3xl space-y-2">
-            <div class="text-xs uppercase tracking-widest text-watchGold/90">${typeLabel(
-              t.type
-            )}</div>
-            <h1 class="text-2xl md:text-4xl font-black">${esc(
-              t.title || "Untitled"
-            )}</h1>
-            <p class="text-white/80 line-clamp-3">${esc(
-              t.synopsis || t.description || ""
-            )}</p>
+  // A PIN unlock covers the one title it was entered for (a series covers
+  // its episodes), not everything above the limit.
+  function lockOwnerId(item) {
+    return item.__seriesId || item.id;
+  }
 
-            <div class="flex flex-wrap gap-2 text-xs text-white/70">
-              ${
-                t.releaseYear
-                  ? `<span class="px-2 py-1 rounded bg-white/10">${esc(
-                      t.releaseYear
-                    )}</span>`
-                  : ""
-              }
-              ${
-                toMins(t.runtimeMins)
-                  ? `<span class="px-2 py-1 rounded bg-white/10">${toMins(
-                      t.runtimeMins
-                    )} mins</span>`
-                  : ""
-              }
-              ${(t.genre || [])
-                .slice(0, 4)
-                .map(
-                  (g) =>
-                    `<span class="px-2 py-1 rounded bg-white/10">${esc(
-                      g
-                    )}</span>`
-                )
-                .join("")}
-            </div>
+  function parentalUnlocked(item) {
+    const unlock = state.parentalUnlock;
+    return (
+      !!unlock && Date.now() < unlock.until && unlock.id === lockOwnerId(item)
+    );
+  }
 
-            <div class="pt-2 flex gap-2">
-              <button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
-                onclick="navTo('${viewHref}')">${
-                  loggedIn ? "View" : "Log in to View"
-                }</button>
+  function isAllowed(item) {
+    if (!item) return false;
+    if (parentalUnlocked(item)) return true;
+    const level = ratingLevel(item);
+    return level === null || level <= maturityLimit();
+  }
 
-              ${
-                hasTrailer
-                  ? `
-                <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
-                  onclick="navTo('${trailerHref}')">${
-                      loggedIn ? "Play Trailer" : "Log in to Watch"
-                    }</button>
-              `
-                  : ""
-              }
-            </div>
-          </div>
-        </div>
-      </section>
-    `;
+  async function applyMaturityLimit(level) {
+    await savePrefs({ maxRating: level });
+    state.parentalUnlock = null;
+    initLoopChannels();
   }
 
-  function wireHeroHover() {
-    if (isTV()) return;
+  function pinCacheKey() {
+    return state.user ? `${GUEST_PIN_KEY}_${state.user.id}` : GUEST_PIN_KEY;
+  }
 
-    document.querySelectorAll("[data-hero-hover]").forEach((btn) => {
-      const pb = btn.getAttribute("data-hero-hover");
-      const container = btn.parentElement;
-      if (!pb || !container) return;
+  function storedPinHash() {
+    return (
+      state.user?.user_metadata?.parental_pin_hash ||
+      localStorage.getItem(pinCacheKey()) ||
+      ""
+    );
+  }
 
-      let previewEl = null;
-      let timer = null;
+  async function hashPin(pin) {
+    const input = `watchvim:${state.user?.id || "guest"}:${pin}`;
+    if (!window.crypto?.subtle) return `plain:${input}`;
+    const buf = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(input)
+    );
+    return Array.from(new Uint8Array(buf))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
 
-      btn.addEventListener("mouseenter", () => {
-        if (timer) clearTimeout(timer);
-        timer = setTimeout(() => {
-          if (previewEl) return;
+  async function savePinHash(hash) {
+    localStorage.setItem(pinCacheKey(), hash);
+    if (!supabase || !state.user) return;
+    const { error } = await supabase.auth.updateUser({
+      data: { parental_pin_hash: hash },
+    });
+    if (error) console.warn("PIN saved locally only.", error);
+  }
 
-          const imgEl = container.querySelector("img");
-          if (imgEl) imgEl.classList.add("hidden");
+  // =========================================================
+  // MY LIST (Supabase-backed, localStorage for guests)
+  // =========================================================
+  const MY_LIST_TABLE = "watchlist";
+  const GUEST_LIST_KEY = "watchvim_my_list";
 
-          previewEl = document.createElement("mux-player");
-          previewEl.setAttribute("stream-type", "on-demand");
-          previewEl.setAttribute("playback-id", pb);
-          previewEl.setAttribute("muted", "");
-          previewEl.setAttribute("autoplay", "");
-          previewEl.setAttribute("loop", "");
-          previewEl.setAttribute("playsinline", "");
-          previewEl.className =
-            "absolute inset-0 w-full h-full object-cover opacity-90";
+  function myListKey() {
+    return scopedKey(GUEST_LIST_KEY);
+  }
 
-          container.insertBefore(previewEl, container.firstChild);
-        }, 250);
-      });
+  // Rows are owned by the auth user and scoped to the active profile.
+  function myListOwner() {
+    return { user_id: state.user.id, profile_id: state.profile?.id || null };
+  }
 
-      btn.addEventListener("mouseleave", () => {
-        if (timer) clearTimeout(timer);
-        if (previewEl) {
-          previewEl.remove();
-          previewEl = null;
-          const imgEl = container.querySelector("img");
-          if (imgEl) imgEl.classList.remove("hidden");
-        }
-      });
-    });
+  function readStoredList(key) {
+    try {
+      const ids = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(ids) ? ids.filter(Boolean) : [];
+    } catch {
+      return [];
+    }
   }
 
-  function CreditsBlock(t) {
-    const actors =
-      (t.actors || t.cast || []).join?.(", ") || t.actors || t.cast || "";
-    const director = (t.director || t.directors || "").toString();
-    const writers =
-      (t.writers || t.writer || []).join?.(", ") ||
+  function saveMyList() {
+    localStorage.setItem(myListKey(), JSON.stringify(state.myList));
+  }
+
+  function inMyList(id) {
+    return state.myList.includes(id);
+  }
+
+  // Loads the list for whoever is signed in. A guest list saved before
+  // sign-in is merged into the account and then cleared.
+  async function syncMyList() {
+    if (!state.user || !supabase) {
+      state.myList = readStoredList(myListKey());
+      return;
+    }
+
+    const cached = readStoredList(myListKey());
+    const guest = readStoredList(GUEST_LIST_KEY);
+    state.myList = [...new Set([...guest, ...cached])];
+
+    try {
+      const owner = myListOwner();
+      const { data, error } = await supabase
+        .from(MY_LIST_TABLE)
+        .select("title_id, created_at")
+        .eq("user_id", owner.user_id)
+        .eq("profile_id", owner.profile_id)
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+
+      const remote = (data || []).map((row) => row.title_id);
+      const missing = guest.filter((id) => !remote.includes(id));
+      if (missing.length) {
+        const rows = missing.map((id) => ({ ...owner, title_id: id }));
+        const { error: upsertError } = await supabase
+          .from(MY_LIST_TABLE)
+          .upsert(rows, { onConflict: "profile_id,title_id" });
+        if (upsertError) throw upsertError;
+      }
+
+      state.myList = [...new Set([...missing, ...remote])];
+      localStorage.removeItem(GUEST_LIST_KEY);
+    } catch (err) {
+      console.warn("My List sync failed; using local copy.", err);
+    }
+    saveMyList();
+  }
+
+  async function toggleMyList(id) {
+    const adding = !inMyList(id);
+    state.myList = adding
+      ? [id, ...state.myList]
+      : state.myList.filter((x) => x !== id);
+    saveMyList();
+    updateMyListButtons(id);
+    if (state.route.name === "mylist") render();
+
+    if (!state.user || !supabase) return;
+    try {
+      const owner = myListOwner();
+      const table = supabase.from(MY_LIST_TABLE);
+      const { error } = adding
+        ? await table.upsert(
+            { ...owner, title_id: id },
+            { onConflict: "profile_id,title_id" }
+          )
+        : await table
+            .delete()
+            .eq("user_id", owner.user_id)
+            .eq("profile_id", owner.profile_id)
+            .eq("title_id", id);
+      if (error) throw error;
+    } catch (err) {
+      console.warn("My List update failed; kept locally.", err);
+    }
+  }
+
+  function myListLabel(id) {
+    return tr(inMyList(id) ? "myList.saved" : "myList.add");
+  }
+
+  function MyListButton(t) {
+    return `
+      <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
+        data-mylist="${esc(t.id)}"
+        onclick="toggleMyList('${esc(t.id)}')">${myListLabel(t.id)}</button>
+    `;
+  }
+
+  function updateMyListButtons(id) {
+    document.querySelectorAll("[data-mylist]").forEach((btn) => {
+      if (btn.getAttribute("data-mylist") === id) {
+        btn.textContent = myListLabel(id);
+      }
+    });
+  }
+
+  function myListItems() {
+    return state.myList.map((id) => state.byId.get(id)).filter(Boolean);
+  }
+
+  // =========================================================
+  // SHARE + DEEP LINKS
+  // =========================================================
+  const SHARE_CONFIRM_MS = 2000;
+
+  // Accepts "90", "1:30", "1:02:03" or "1h2m3s"; anything else is 0.
+  function parseTimeParam(value) {
+    const v = String(value || "").trim();
+    if (/^\d+$/.test(v)) return Number(v);
+    if (/^\d+(:\d{1,2}){1,2}$/.test(v)) {
+      return v.split(":").reduce((sum, part) => sum * 60 + Number(part), 0);
+    }
+    const m = v.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!m || !v) return 0;
+    return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+  }
+
+  function withStartTime(hash, seconds) {
+    const t = Math.floor(Number(seconds) || 0);
+    if (!t) return hash;
+    return `${hash}${hash.includes("?") ? "&" : "?"}t=${t}`;
+  }
+
+  function shareUrl(hash) {
+    return `${location.origin}${location.pathname}${hash}`;
+  }
+
+  function ShareButton(hash, title, small = false) {
+    const cls = small
+      ? "tv-focus px-3 py-1.5 text-xs rounded bg-white/10 hover:bg-white/20"
+      : "tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20";
+    return `
+      <button class="${cls}" data-share-hash="${esc(hash)}"
+        data-share-title="${esc(title || "")}" onclick="shareLink(this)">${tr(
+          "share.button"
+        )}</button>
+    `;
+  }
+
+  function ShareAtTimeButton(hash, title) {
+    return `
+      <button class="tv-focus px-3 py-1.5 text-sm rounded bg-white/10 hover:bg-white/20"
+        data-share-hash="${esc(hash)}" data-share-title="${esc(title || "")}"
+        onclick="shareLink(this, true)">${tr("share.atTime")}</button>
+    `;
+  }
+
+  // Web Share where available (mobile, some TVs); otherwise the link goes to
+  // the clipboard and the button briefly confirms it.
+  async function shareLink(btn, atCurrentTime = false) {
+    let hash = btn.dataset.shareHash;
+    if (atCurrentTime) {
+      const el = document.querySelector("#muxPlayer, #html5Player");
+      hash = withStartTime(hash, el?.currentTime);
+    }
+    const url = shareUrl(hash);
+    const title = btn.dataset.shareTitle || "WatchVIM";
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title, url });
+      } catch (err) {
+        if (err?.name !== "AbortError") console.warn("Share failed:", err);
+      }
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (_) {
+      window.prompt("Copy this link:", url);
+      return;
+    }
+    const label = btn.textContent;
+    btn.textContent = tr("share.copied");
+    setTimeout(() => (btn.textContent = label), SHARE_CONFIRM_MS);
+  }
+
+  // =========================================================
+  // ARTWORK (responsive variants, lazy loading, windowed rows)
+  // =========================================================
+  // Nominal widths of the catalog's two art variants, so srcset can choose
+  // by viewport and pixel density. TV-class screens take the TV art as-is.
+  const ART_WIDTHS = { mobile: 480, tv: 1280 };
+  const POSTER_SIZES =
+    "(min-width: 768px) 200px, (min-width: 640px) 32vw, 46vw";
+  const HERO_SIZES = "100vw";
+  const BLANK_IMG =
+    "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+  const ART_ROOT_MARGIN = "300px";
+  const ROW_CHUNK = 12;
+  const ROW_WINDOW = ROW_CHUNK * 3;
+
+  const loadedArt = new Set();
+  const rowItems = new Map();
+  const rowWindows = new Map();
+  let artObserver = null;
+
+  function artVariants(t, kind) {
+    const a = t?.appImages || {};
+    return { mobile: a[`mobile${kind}Url`] || "", tv: a[`tv${kind}Url`] || "" };
+  }
+
+  function pickArtVariant(t, kind) {
+    const { mobile, tv } = artVariants(t, kind);
+    return isTV() ? tv || mobile : mobile || tv;
+  }
+
+  // Only when both variants exist and no explicit posterUrl/heroUrl wins.
+  function artSrcset(t, kind) {
+    if (isTV() || t?.[kind === "Poster" ? "posterUrl" : "heroUrl"]) return "";
+    const { mobile, tv } = artVariants(t, kind);
+    if (!mobile || !tv || mobile === tv) return "";
+    return `${mobile} ${ART_WIDTHS.mobile}w, ${tv} ${ART_WIDTHS.tv}w`;
+  }
+
+  function artPlaceholder(t) {
+    return t?.appImages?.placeholderUrl || "";
+  }
+
+  // Off-screen art renders as a blurred placeholder (the catalog's tiny
+  // appImages.placeholderUrl, or nothing) and swaps in once near the
+  // viewport. Art already loaded once renders straight away, so a re-render
+  // doesn't flash placeholders back in.
+  function ArtImage({
+    src,
+    srcset = "",
+    sizes = "",
+    placeholder = "",
+    cls = "",
+    id = "",
+    eager = false,
+  }) {
+    if (!src) return "";
+    const idAttr = id ? ` id="${esc(id)}"` : "";
+    const sizesAttr = srcset ? ` sizes="${esc(sizes)}"` : "";
+    if (eager || loadedArt.has(src)) {
+      const srcsetAttr = srcset ? ` srcset="${esc(srcset)}"` : "";
+      return `<img${idAttr} src="${esc(
+        src
+      )}"${srcsetAttr}${sizesAttr} alt="" class="${cls}"/>`;
+    }
+    const dataSrcset = srcset ? ` data-art-srcset="${esc(srcset)}"` : "";
+    return `<img${idAttr} src="${esc(
+      placeholder || BLANK_IMG
+    )}" data-art-src="${esc(
+      src
+    )}"${dataSrcset}${sizesAttr} alt="" class="${cls} transition duration-300 art-pending"/>`;
+  }
+
+  function loadArt(img) {
+    const src = img.dataset.artSrc;
+    const srcset = img.dataset.artSrcset;
+    delete img.dataset.artSrc;
+    delete img.dataset.artSrcset;
+    const done = () => img.classList.remove("art-pending");
+    img.addEventListener(
+      "load",
+      () => {
+        loadedArt.add(src);
+        done();
+      },
+      { once: true }
+    );
+    img.addEventListener("error", done, { once: true });
+    if (srcset) img.srcset = srcset;
+    img.src = src;
+  }
+
+  // Re-observes from scratch each time so images dropped by a re-render
+  // aren't kept alive by the observer.
+  function observeArt() {
+    const pending = document.querySelectorAll("img[data-art-src]");
+    if (!("IntersectionObserver" in window)) {
+      pending.forEach(loadArt);
+      return;
+    }
+    if (!artObserver) {
+      artObserver = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((e) => {
+            if (!e.isIntersecting) return;
+            artObserver.unobserve(e.target);
+            loadArt(e.target);
+          });
+        },
+        { rootMargin: ART_ROOT_MARGIN }
+      );
+    }
+    artObserver.disconnect();
+    pending.forEach((img) => artObserver.observe(img));
+  }
+
+  // Long rows keep at most ROW_WINDOW cards in the DOM, which matters on
+  // low-memory TV sticks. Scrolling (or D-pad focus) to within a screen of
+  // either end adds a ROW_CHUNK there and drops one from the far end; cards
+  // dropped from the start leave their width behind as padding, so nothing
+  // on screen moves.
+  function RowMore() {
+    return `<div class="shrink-0 w-px" data-row-more></div>`;
+  }
+
+  // Row state is kept per page and row rather than by heading, so a genre
+  // shown on two tabs, or named like another row, starts its own window.
+  function rowKey(id) {
+    return `${state.route.name}/${state.activeTab}/${id}`;
+  }
+
+  function rowWindow(key) {
+    return rowWindows.get(key) || { start: 0, end: ROW_CHUNK, before: 0 };
+  }
+
+  function slideRow(row) {
+    const key = row.dataset.rowKey;
+    const items = rowItems.get(key);
+    if (!items) return;
+    const win = rowWindow(key);
+    const cards = () => Array.from(row.querySelectorAll(":scope > .tile"));
+    const html = (from, to) =>
+      items
+        .slice(from, to)
+        .map((t) => Card(t))
+        .join("");
+    // scrollLeft runs from 0 towards negative values under dir="rtl".
+    const scrolled = Math.abs(row.scrollLeft);
+
+    if (
+      win.end < items.length &&
+      scrolled + row.clientWidth * 2 >= row.scrollWidth
+    ) {
+      const more = row.querySelector(":scope > [data-row-more]");
+      const end = Math.min(items.length, win.end + ROW_CHUNK);
+      more.insertAdjacentHTML("beforebegin", html(win.end, end));
+      if (end >= items.length) more.remove();
+      win.end = end;
+
+      if (win.end - win.start > ROW_WINDOW) {
+        const drop = cards().slice(0, ROW_CHUNK);
+        const kept = drop[drop.length - 1].nextElementSibling;
+        win.before += Math.abs(kept.offsetLeft - drop[0].offsetLeft);
+        drop.forEach((card) => card.remove());
+        win.start += drop.length;
+      }
+    } else if (win.start > 0 && scrolled < win.before + row.clientWidth) {
+      const first = cards()[0];
+      const start = Math.max(0, win.start - ROW_CHUNK);
+      const wasAt = first.offsetLeft;
+      first.insertAdjacentHTML("beforebegin", html(start, win.start));
+      const added = Math.abs(wasAt - cards()[0].offsetLeft);
+      win.before = start ? Math.max(0, win.before - added) : 0;
+      win.start = start;
+
+      if (win.end - win.start > ROW_WINDOW) {
+        const drop = cards().slice(-ROW_CHUNK);
+        drop.forEach((card) => card.remove());
+        win.end -= drop.length;
+        if (!row.querySelector(":scope > [data-row-more]")) {
+          row.insertAdjacentHTML("beforeend", RowMore());
+        }
+      }
+    } else {
+      return;
+    }
+
+    row.style.paddingInlineStart = `${win.before}px`;
+    rowWindows.set(key, win);
+    observeArt();
+  }
+
+  document.addEventListener(
+    "scroll",
+    (e) => {
+      if (e.target instanceof Element && e.target.matches("[data-row-key]")) {
+        slideRow(e.target);
+      }
+    },
+    { capture: true, passive: true }
+  );
+
+  // =========================================================
+  // SHELL
+  // =========================================================
+  function Header() {
+    const tabs = ["Home", "Movies", "Series", "Shorts", "Foreign", "LIVE", "Search"];
+    const loggedIn = isLoggedIn();
+
+    return `
+      <header data-focus-zone="header" class="sticky top-0 z-30 bg-watchBlack/95 backdrop-blur border-b border-white/10 safe-bottom">
+        <div class="px-4 py-3 flex items-center gap-3">
+          <div class="flex items-center gap-2 cursor-pointer" onclick="setTab('Home')">
+            <img
+              id="appLogo"
+              src="${esc(CONFIG.LOGO_URL)}"
+              alt="WatchVIM"
+              class="h-8 w-auto object-contain"
+              onerror="this.onerror=null;this.style.display='none';document.getElementById('logoFallback').classList.remove('hidden');"
+            />
+            <div id="logoFallback" class="hidden text-lg font-black tracking-wide">WatchVIM</div>
+          </div>
+
+          <nav class="ml-auto flex gap-2 text-sm">
+            ${tabs
+              .map(
+                (tab) => `
+              <button
+                class="tv-focus px-3 py-1.5 rounded-full ${
+                  state.activeTab === tab
+                    ? "bg-white/15 text-white"
+                    : "text-white/70 hover:bg-white/10"
+                }"
+                onclick="${
+                  tab === "Search" ? "navTo('#/search')" : `setTab('${tab}')`
+                }"
+              >${tr(`tab.${tab}`)}</button>
+            `
+              )
+              .join("")}
+          </nav>
+
+          <div class="ml-2 flex gap-2 text-sm">
+            ${
+              loggedIn
+                ? `
+              ${
+                state.profile
+                  ? `<button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 flex items-center gap-1.5" onclick="navTo('#/profiles')" aria-label="${tr(
+                    "nav.switchProfile"
+                  )}">
+                <span>${esc(state.profile.avatar || "🙂")}</span>
+                <span class="hidden sm:inline">${esc(state.profile.name)}</span>
+              </button>`
+                  : ""
+              }
+              ${
+                isSubscriber() || !membershipPlans().length
+                  ? ""
+                  : `<button class="tv-focus px-3 py-1.5 rounded-lg bg-watchRed font-bold hover:opacity-90" onclick="navTo('#/plans')">${tr(
+                      "cta.becomeMember"
+                    )}</button>`
+              }
+              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="navTo('#/mylist')">${tr("nav.myList")}</button>
+              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="navTo('#/profile')">${tr("nav.profile")}</button>
+              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="signOut()">${tr("nav.logOut")}</button>
+            `
+                : `
+              <button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20" onclick="navTo('${loginHref("login")}')">${tr("nav.logIn")}</button>
+              <button class="tv-focus px-3 py-1.5 rounded-lg bg-watchRed font-bold hover:opacity-90" onclick="navTo('${loginHref("signup")}')">${tr("cta.becomeMember")}</button>
+            `
+            }
+          </div>
+        </div>
+      </header>
+    `;
+  }
+
+  function MobileTabBar() {
+    if (isTV()) return "";
+    const items = ["Home", "Movies", "Series", "Shorts", "Foreign", "LIVE"];
+    return `
+      <footer data-focus-zone="tabbar" class="fixed bottom-0 left-0 right-0 bg-watchBlack/95 border-t border-white/10 safe-bottom">
+        <div class="flex justify-around px-2 py-2">
+          ${items
+            .map(
+              (tab) => `
+            <button class="tv-focus flex-1 mx-1 py-2 rounded-lg text-xs ${
+              state.activeTab === tab ? "bg-white text-black" : "bg-white/10"
+            }" onclick="setTab('${tab}')">${tr(`tab.${tab}`)}</button>
+          `
+            )
+            .join("")}
+        </div>
+      </footer>
+    `;
+  }
+
+  function setTab(tab) {
+    state.activeTab = tab;
+    if (tab === "LIVE") navTo("#/loop");
+    else navTo("#/home");
+  }
+
+  // =========================================================
+  // UI BLOCKS
+  // =========================================================
+  function ProgressBar(ratio) {
+    if (!ratio) return "";
+    return `
+      <div class="absolute left-0 right-0 bottom-0 h-1 bg-white/20">
+        <div class="h-full bg-watchRed" style="width:${Math.round(
+          ratio * 100
+        )}%"></div>
+      </div>
+    `;
+  }
+
+  function Card(t) {
+    const img = poster(t);
+    const href = t.type === "series" ? `#/series/${t.id}` : `#/title/${t.id}`;
+    const ratio = progressRatio(progressForTitle(t));
+
+    return `
+      <button class="tile tv-focus w-[46vw] sm:w-[32vw] md:w-[180px] max-w-[200px] text-left" onclick="navTo('${href}')">
+        <div class="relative aspect-[2/3] rounded-xl overflow-hidden bg-white/5 border border-white/10">
+          ${ArtImage({
+            src: img,
+            srcset: artSrcset(t, "Poster"),
+            sizes: POSTER_SIZES,
+            placeholder: artPlaceholder(t),
+            cls: "w-full h-full object-cover",
+          })}
+          ${ProgressBar(ratio)}
+          ${
+            isLiveEvent(t)
+              ? `<div class="absolute top-2 left-2">${LiveBadge(t)}</div>`
+              : ""
+          }
+        </div>
+        <div class="mt-2 text-sm font-semibold line-clamp-2">${
+          esc(localized(t, "title") || tr("common.untitled"))
+        }</div>
+        <div class="text-xs text-white/60">${esc(typeLabel(t.type))}</div>
+      </button>
+    `;
+  }
+
+  function Row(name, items, viewAllTab = null, id = name) {
+    if (!items.length) return "";
+    const tabTarget = viewAllTab || name;
+    const key = rowKey(id);
+    let win = rowWindow(key);
+    if (win.start >= items.length) win = rowWindow(null);
+    const end = Math.min(items.length, win.end);
+    rowWindows.set(key, win);
+    rowItems.set(key, items);
+    return `
+      <section class="mt-6 px-4 md:px-8">
+        <div class="flex items-center justify-between mb-2">
+          <h3 class="text-lg font-bold">${esc(name)}</h3>
+          ${
+            viewAllTab
+              ? `
+            <button class="tv-focus text-xs text-white/60 hover:text-white" onclick="setTab('${esc(
+              tabTarget
+            )}')">${tr("row.viewAll")}</button>
+          `
+              : ``
+          }
+        </div>
+        <div class="row-scroll flex gap-3 overflow-x-auto pb-2 no-scrollbar" data-focus-row="${esc(
+          name
+        )}" data-row-key="${esc(key)}" style="padding-inline-start: ${
+      win.before
+    }px">
+          ${items
+            .slice(win.start, end)
+            .map((t) => Card(t))
+            .join("")}
+          ${end < items.length ? RowMore() : ""}
+        </div>
+      </section>
+    `;
+  }
+
+  // =========================================================
+  // HERO (no autoplay; click/hover only)
+  // =========================================================
+  function HeroRow(items) {
+    if (!items.length) return "";
+    const t = items[0];
+    const img = hero(t);
+    const hasTrailer = !!t.trailerPlaybackId;
+    const heroId = `hero_${t.id}`;
+    const loggedIn = isLoggedIn();
+    const viewHref = `#/${t.type === "series" ? "series" : "title"}/${t.id}`;
+    const trailerHref = `#/watch/${t.id}?kind=trailer`;
+
+    return `
+      <section class="relative w-full overflow-hidden">
+        <div id="${heroId}" class="aspect-video md:aspect-[21/9] bg-black relative">
+          ${ArtImage({
+            id: `${heroId}_img`,
+            src: img,
+            srcset: artSrcset(t, "Hero"),
+            sizes: HERO_SIZES,
+            cls: "w-full h-full object-cover opacity-90",
+            eager: true,
+          })}
+          <div class="absolute inset-0 bg-gradient-to-t from-watchBlack via-watchBlack/40 to-transparent"></div>
+
+          ${
+            hasTrailer
+              ? `
+            <button
+              class="tv-focus absolute inset-0 flex items-center justify-center group"
+              onclick="navTo('${trailerHref}')"
+              data-hero-hover="${esc(t.trailerPlaybackId)}"
+              aria-label="${tr("title.trailerPreview")}"
+            >
+              <div class="w-16 h-16 md:w-20 md:h-20 rounded-full bg-black/60 border border-white/30 flex items-center justify-center text-3xl md:text-4xl group-hover:scale-105 transition">
+                ▶
+              </div>
+            </button>
+          `
+              : ``
+          }
+        </div>
+
+        <div class="absolute left-0 right-0 bottom-0 p-4 md:p-8">
+          <div class="max-w-3xl space-y-2">
+            <div class="text-xs uppercase tracking-widest text-watchGold/90">${typeLabel(
+              t.type
+            )}</div>
+            <h1 class="text-2xl md:text-4xl font-black">${esc(
+              localized(t, "title") || tr("common.untitled")
+            )}</h1>
+            <p class="text-white/80 line-clamp-3">${esc(
+              localized(t, "synopsis") || localized(t, "description") || ""
+            )}</p>
+
+            <div class="flex flex-wrap gap-2 text-xs text-white/70">
+              ${
+                t.releaseYear
+                  ? `<span class="px-2 py-1 rounded bg-white/10">${esc(
+                      t.releaseYear
+                    )}</span>`
+                  : ""
+              }
+              ${
+                toMins(t.runtimeMins)
+                  ? `<span class="px-2 py-1 rounded bg-white/10">${tr(
+                      "title.mins",
+                      { count: toMins(t.runtimeMins) }
+                    )}</span>`
+                  : ""
+              }
+              ${t.genre
+                .slice(0, 4)
+                .map(
+                  (g) =>
+                    `<span class="px-2 py-1 rounded bg-white/10">${esc(
+                      g
+                    )}</span>`
+                )
+                .join("")}
+            </div>
+
+            <div class="pt-2 flex gap-2">
+              <button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
+                onclick="navTo('${viewHref}')">${tr("cta.view")}</button>
+
+              ${
+                hasTrailer
+                  ? `
+                <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
+                  onclick="navTo('${trailerHref}')">${tr(
+                    loggedIn ? "cta.playTrailer" : "cta.logInToWatch"
+                  )}</button>
+              `
+                  : ""
+              }
+              ${MyListButton(t)}
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  function wireHeroHover() {
+    if (isTV()) return;
+
+    document.querySelectorAll("[data-hero-hover]").forEach((btn) => {
+      const pb = btn.getAttribute("data-hero-hover");
+      const container = btn.parentElement;
+      if (!pb || !container || !firstMount(btn)) return;
+
+      let previewEl = null;
+      let timer = null;
+
+      btn.addEventListener("mouseenter", () => {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(() => {
+          if (previewEl) return;
+
+          const imgEl = container.querySelector("img");
+          if (imgEl) imgEl.classList.add("hidden");
+
+          previewEl = document.createElement("mux-player");
+          previewEl.setAttribute("stream-type", "on-demand");
+          previewEl.setAttribute("playback-id", pb);
+          previewEl.setAttribute("muted", "");
+          previewEl.setAttribute("autoplay", "");
+          previewEl.setAttribute("loop", "");
+          previewEl.setAttribute("playsinline", "");
+          previewEl.className =
+            "absolute inset-0 w-full h-full object-cover opacity-90";
+
+          container.insertBefore(previewEl, container.firstChild);
+        }, 250);
+      });
+
+      btn.addEventListener("mouseleave", () => {
+        if (timer) clearTimeout(timer);
+        if (previewEl) {
+          previewEl.remove();
+          previewEl = null;
+          const imgEl = container.querySelector("img");
+          if (imgEl) imgEl.classList.remove("hidden");
+        }
+      });
+    });
+  }
+
+  function CreditsBlock(t) {
+    const actors =
+      (t.actors || t.cast || []).join?.(", ") || t.actors || t.cast || "";
+    const director = (t.director || t.directors || "").toString();
+    const writers =
+      (t.writers || t.writer || []).join?.(", ") ||
       t.writers ||
       t.writer ||
       "";
     const imdb = t.imdbRating || t.ratings?.imdb || "";
     const rt = t.rottenTomatoesRating || t.ratings?.rottenTomatoes || "";
 
-    if (!actors && !director && !writers && !imdb && !rt) return "";
+    if (!actors && !director && !writers && !imdb && !rt) return "";
+    return `
+      <div class="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+        ${
+          actors
+            ? `<div><div class="text-xs text-white/60">${tr("title.actors")}</div><div>${esc(
+                actors
+              )}</div></div>`
+            : ""
+        }
+        ${
+          director
+            ? `<div><div class="text-xs text-white/60">${tr("title.director")}</div><div>${esc(
+                director
+              )}</div></div>`
+            : ""
+        }
+        ${
+          writers
+            ? `<div><div class="text-xs text-white/60">${tr("title.writers")}</div><div>${esc(
+                writers
+              )}</div></div>`
+            : ""
+        }
+        ${
+          imdb || rt
+            ? `
+          <div class="flex gap-2 items-end">
+            ${
+              imdb
+                ? `<span class="px-2 py-1 rounded bg-white/10 text-xs">IMDb: <b>${esc(
+                    imdb
+                  )}</b></span>`
+                : ""
+            }
+            ${
+              rt
+                ? `<span class="px-2 py-1 rounded bg-white/10 text-xs">Rotten Tomatoes: <b>${esc(
+                    rt
+                  )}</b></span>`
+                : ""
+            }
+          </div>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // HOME + TABS
+  // =========================================================
+  function HomePage() {
+    const all = state.titles.filter(isAllowed);
+
+    if (state.activeTab === "Home") {
+      const featured = sortFeatured(featuredItems()).filter(isAllowed);
+      const heroItems = (featured.length ? featured : all).slice(0, 1);
+
+      const lastWatched = continueWatchingItems().filter(isAllowed);
+
+      const movies = all.filter(TAB_FILTERS.Movies);
+      const series = all.filter(TAB_FILTERS.Series);
+      const shorts = all.filter(TAB_FILTERS.Shorts);
+      const foreign = all.filter(TAB_FILTERS.Foreign);
+
+      return `
+        ${HeroRow(heroItems)}
+        <div class="py-6 space-y-2">
+          ${
+            lastWatched.length
+              ? Row(tr("row.continueWatching"), lastWatched.slice(0, 12))
+              : ""
+          }
+          ${Row(
+            tr("row.myList"),
+            myListItems().filter(isAllowed).slice(0, 20)
+          )}
+          ${Row(tr("row.topMovies"), movies.slice(0, 20), "Movies")}
+          ${Row(tr("row.topSeries"), series.slice(0, 20), "Series")}
+          ${Row(tr("row.topShorts"), shorts.slice(0, 20), "Shorts")}
+          ${Row(tr("row.topForeign"), foreign.slice(0, 20), "Foreign")}
+        </div>
+      `;
+    }
+
+    const filtered = all.filter(TAB_FILTERS[state.activeTab] || (() => true));
+    const heroItems = filtered.slice(0, 1);
+
+    const byGenre = {};
+    filtered.forEach((t) => {
+      (t.genre.length ? t.genre : ["Featured"]).forEach((g) => {
+        byGenre[g] = byGenre[g] || [];
+        byGenre[g].push(t);
+      });
+    });
+
+    const genreRows = Object.entries(byGenre)
+      .slice(0, 8)
+      .map(([g, items]) => Row(g, items.slice(0, 20), null, `genre/${g}`))
+      .join("");
+
+    return `
+      ${HeroRow(heroItems)}
+      <div class="py-6 space-y-6">
+        ${Row(
+          tr("row.topTab", { tab: tr(`tab.${state.activeTab}`) }),
+          filtered.slice(0, 20)
+        )}
+        ${genreRows}
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // GATE PAGE (paywall)
+  // =========================================================
+  function GatePage(next = location.hash) {
+    return `
+      <div class="min-h-[calc(100vh-64px)] flex flex-col items-center justify-center px-6 text-center bg-watchBlack">
+        <div class="text-2xl md:text-3xl font-black mb-3">${tr("gate.title")}</div>
+        <p class="text-white/70 max-w-md text-sm md:text-base mb-4">
+          ${tr("gate.body")}
+        </p>
+        <div class="flex flex-col sm:flex-row gap-2">
+          <button class="tv-focus px-5 py-2.5 rounded-lg bg-watchRed font-bold hover:opacity-90"
+            onclick="navTo('${loginHref("signup", next)}')">${tr(
+              "cta.becomeMember"
+            )}</button>
+          <button class="tv-focus px-5 py-2.5 rounded-lg bg-white/10 hover:bg-white/20"
+            onclick="navTo('${loginHref("login", next)}')">${tr(
+              "gate.logIn"
+            )}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // LEGAL PAGES (terms, privacy, refund)
+  // =========================================================
+  const LEGAL_PAGES = ["terms", "privacy", "refund"];
+
+  function LegalPage(slug) {
+    const key = (slug || "").toLowerCase();
+    if (!LEGAL_PAGES.includes(key)) return NotFound(tr("common.pageNotFound"));
+
+    const title = tr(`legal.${key}.title`);
+    const description = tr(`legal.${key}.description`);
+
+    return `
+      <div class="p-6 md:p-10 max-w-4xl mx-auto space-y-4">
+        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+        <h1 class="text-2xl md:text-3xl font-black">${esc(title)}</h1>
+        <p class="text-sm text-white/70 max-w-2xl">${esc(description)}</p>
+
+        <div class="mt-4 space-y-3 text-sm leading-relaxed text-white/80 text-left">
+          <p>${tr("legal.placeholder")}</p>
+          <p>${tr("legal.support", {
+            email: `<span class="font-mono">streaming@watchvim.com</span>`,
+          })}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // TITLE / SERIES / WATCH / SEARCH / LOGIN / LOOP
+  // =========================================================
+  function TitlePage(id) {
+    const t = state.byId.get(id);
+    if (!t) return NotFound(tr("common.titleNotFound"));
+    if (!isAllowed(t)) return LockedPage(t);
+
+    const img = hero(t);
+    const monet = t.monetization || {};
+    const tvod = monet.tvod || {};
+    const accessBadge = [
+      monet.svod ? "SVOD" : null,
+      monet.avod ? "AVOD" : null,
+      tvod.enabled ? "TVOD" : null,
+    ]
+      .filter(Boolean)
+      .join(" • ");
+
+    return `
+      <section class="relative">
+        <div class="aspect-video bg-black">
+          ${ArtImage({
+            src: img,
+            srcset: artSrcset(t, "Hero"),
+            sizes: HERO_SIZES,
+            cls: "w-full h-full object-cover opacity-90",
+            eager: true,
+          })}
+          <div class="absolute inset-0 bg-gradient-to-t from-watchBlack via-watchBlack/40 to-transparent"></div>
+        </div>
+
+        <div class="p-4 md:p-8 -mt-12 md:-mt-20 relative z-10">
+          <div class="max-w-4xl space-y-3">
+            <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+
+            <div class="flex flex-wrap gap-2 text-xs text-white/70">
+              <span class="px-2 py-1 rounded bg-white/10">${typeLabel(
+                t.type
+              )}</span>
+              ${
+                t.releaseYear
+                  ? `<span class="px-2 py-1 rounded bg-white/10">${esc(
+                      t.releaseYear
+                    )}</span>`
+                  : ""
+              }
+              ${
+                toMins(t.runtimeMins)
+                  ? `<span class="px-2 py-1 rounded bg-white/10">${tr(
+                      "title.mins",
+                      { count: toMins(t.runtimeMins) }
+                    )}</span>`
+                  : ""
+              }
+              ${
+                accessBadge
+                  ? `<span class="px-2 py-1 rounded bg-watchGold/20 text-watchGold">${accessBadge}</span>`
+                  : ""
+              }
+              ${isLiveEvent(t) ? LiveBadge(t) : ""}
+            </div>
+
+            <h1 class="text-2xl md:text-4xl font-black">${esc(
+              localized(t, "title") || tr("common.untitled")
+            )}</h1>
+            <p class="text-white/80">${esc(
+              localized(t, "synopsis") || localized(t, "description") || ""
+            )}</p>
+
+            ${CreditsBlock(t)}
+
+            <div class="flex flex-wrap gap-2 pt-2">
+              ${
+                t.trailerPlaybackId
+                  ? `
+                <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
+                  onclick="navTo('#/watch/${t.id}?kind=trailer')">${tr(
+                    isLoggedIn() ? "cta.playTrailer" : "cta.logInToWatch"
+                  )}</button>`
+                  : ""
+              }
+              ${renderWatchCTA(t)}
+              ${MyListButton(t)}
+              ${ShareButton(`#/title/${t.id}`, localized(t, "title"))}
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  function renderWatchCTA(t) {
+    const tvod = t.monetization?.tvod || {};
+    const access = accessFor(t);
+    const primary =
+      "tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90";
+    const secondary =
+      "tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20";
+
+    if (access.reason === "login") {
+      if (tvod.enabled) {
+        return `<button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold"
+          onclick="navTo('${loginHref("login")}')">${tr(
+          "cta.logInToRent"
+        )}</button>`;
+      }
+      return `<button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold"
+        onclick="navTo('${loginHref(
+          "signup",
+          `#/watch/${t.id}?kind=content`
+        )}')">${tr("cta.logInToWatch")}</button>`;
+    }
+
+    if (access.canWatch) {
+      const e = access.entitlement;
+      const live = isLiveEvent(t) ? liveState(t) : "";
+      const label = e?.expiresAt
+        ? tr("cta.watchRented", {
+            time: formatTimeLeft(e.expiresAt - Date.now()),
+          })
+        : live
+        ? tr(`live.${live}`)
+        : tr(access.ads ? "cta.watchWithAds" : "cta.watchNow");
+      return `<button class="${primary}"
+        onclick="navTo('#/watch/${t.id}?kind=content')">${label}</button>`;
+    }
+
+    return access.options
+      .map((opt, i) =>
+        opt === "subscribe"
+          ? `<button class="${i ? secondary : primary}"
+        onclick="navTo('#/plans')">${tr("cta.becomeMember")}</button>`
+          : `<button class="${i ? secondary : primary}"
+        onclick="startTVODCheckout('${t.id}')">${tr("cta.rentBuy")}</button>`
+      )
+      .join("");
+  }
+
+  function SeriesPage(id) {
+    const s = state.byId.get(id);
+    if (!s || s.type !== "series") return NotFound(tr("common.seriesNotFound"));
+    if (!isAllowed(s)) return LockedPage(s);
+    const img = hero(s);
+
+    return `
+      <section class="relative">
+        <div class="aspect-video bg-black">
+          ${ArtImage({
+            src: img,
+            srcset: artSrcset(s, "Hero"),
+            sizes: HERO_SIZES,
+            cls: "w-full h-full object-cover opacity-90",
+            eager: true,
+          })}
+          <div class="absolute inset-0 bg-gradient-to-t from-watchBlack via-watchBlack/40 to-transparent"></div>
+        </div>
+
+        <div class="p-4 md:p-8 -mt-12 md:-mt-20 relative z-10">
+          <div class="max-w-5xl space-y-3">
+            <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+            <div class="text-xs uppercase tracking-widest text-watchGold/90">${tr(
+              "type.series"
+            )}</div>
+            <h1 class="text-2xl md:text-4xl font-black">${esc(
+              localized(s, "title") || tr("common.untitled")
+            )}</h1>
+            <p class="text-white/80">${esc(
+              localized(s, "synopsis") || localized(s, "description") || ""
+            )}</p>
+
+            ${CreditsBlock(s)}
+
+            <div class="flex flex-wrap gap-2 pt-2">
+              ${MyListButton(s)}
+              ${ShareButton(`#/series/${s.id}`, localized(s, "title"))}
+            </div>
+
+            <div class="pt-6 space-y-5">
+              ${
+                (s.seasons || [])
+                  .map((season, si) => SeasonBlock(s, season, si))
+                  .join("") ||
+                `<div class="text-white/60 text-sm">${tr(
+                  "series.noSeasons"
+                )}</div>`
+              }
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  function SeasonBlock(series, season, seasonIndex) {
+    const episodes = season.episodes || [];
+    return `
+      <div class="space-y-2">
+        <div class="flex items-center justify-between">
+          <h2 class="text-lg font-bold">${tr("series.season", {
+            number: season.seasonNumber || seasonIndex + 1,
+          })}</h2>
+          <div class="text-xs text-white/60">${tr("series.episodes", {
+            count: episodes.length,
+          })}</div>
+        </div>
+        <div class="space-y-2">
+          ${episodes
+            .map((ep, ei) => EpisodeRow(series, ep, seasonIndex, ei))
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  function EpisodeRow(series, ep, seasonIndex, epIndex) {
+    const img = ep.thumbnailUrl || series.posterUrl || "";
+    const loggedIn = isLoggedIn();
+    const watchHref = episodeHref(series.id, seasonIndex, epIndex);
+    const trailerHref = episodeHref(series.id, seasonIndex, epIndex, "trailer");
+
+    const ratio = progressRatio(getProgress(ep.id));
+
+    return `
+      <div class="flex gap-3 p-2 rounded-lg bg-white/5 border border-white/10">
+        <div class="relative w-20 h-28 rounded-md overflow-hidden bg-black/40 shrink-0">
+          ${ArtImage({
+            src: img,
+            placeholder: artPlaceholder(series),
+            cls: "w-full h-full object-cover",
+          })}
+          ${ProgressBar(ratio)}
+        </div>
+        <div class="flex-1 space-y-1">
+          <div class="text-sm font-semibold">
+            E${ep.episodeNumber || epIndex + 1} — ${esc(
+              localized(ep, "title") || tr("common.untitled")
+            )}
+          </div>
+          <div class="text-xs text-white/60 line-clamp-2">${esc(
+            localized(ep, "synopsis") || localized(ep, "description") || ""
+          )}</div>
+
+          <div class="flex gap-2 pt-1">
+            ${
+              ep.trailerPlaybackId
+                ? `
+              <button class="tv-focus px-3 py-1.5 text-xs rounded bg-white/10 hover:bg-white/20"
+                onclick="navTo('${trailerHref}')">${tr(
+                  loggedIn ? "cta.trailer" : "cta.logIn"
+                )}</button>`
+                : ""
+            }
+            <button class="tv-focus px-3 py-1.5 text-xs rounded bg-watchRed font-bold"
+              onclick="navTo('${watchHref}')">${
+      !loggedIn
+        ? tr("cta.logInToWatch")
+        : tr(isAllowed(ep) ? "cta.watch" : "cta.locked")
+    }</button>
+            ${ShareButton(
+              episodeHref(series.id, seasonIndex, epIndex),
+              `${localized(series, "title") || ""} — ${
+                localized(ep, "title") || ""
+              }`,
+              true
+            )}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  function WatchPage(id, kind = "content") {
+    const t = state.byId.get(id);
+    const live = kind === "content" && isLiveEvent(t) ? liveState(t) : "";
+    if (live === "upcoming" || live === "ended") return LiveHoldPage(t, live);
+
+    const src = muxIdFor(t, kind) || (kind === "content" ? t.videoUrl : "");
+    if (!src) return NotFound(`No ${kind} playback ID set.`);
+    return `
+      <div class="p-4 md:p-8 space-y-4">
+        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+        <div class="flex items-center gap-3">
+          <div class="text-xl font-bold">${esc(localized(t, "title"))}</div>
+          ${live ? LiveBadge(t) : ""}
+        </div>
+        ${CreditsBlock(t)}
+        <div id="playerWrap" data-player-key="${esc(
+          `${kind}:${src}`
+        )}" class="relative aspect-video bg-black rounded-xl overflow-hidden border border-white/10"></div>
+        ${
+          live === "live"
+            ? ""
+            : ShareAtTimeButton(
+                `#/watch/${t.id}?kind=${kind}`,
+                localized(t, "title")
+              )
+        }
+      </div>
+    `;
+  }
+
+  function EpisodeWatchPage(seriesId, seasonIndex, epIndex, kind = "content") {
+    const s = state.byId.get(seriesId);
+    const season = s.seasons[seasonIndex];
+    const ep = season.episodes[epIndex];
+
+    const src = muxIdFor(ep, kind) || (kind === "content" ? ep.videoUrl : "");
+    if (!src) return NotFound(`No ${kind} playback ID set for this episode.`);
+
+    const prev = adjacentEpisode(s, seasonIndex, epIndex, -1);
+    const next = adjacentEpisode(s, seasonIndex, epIndex, 1);
+
+    return `
+      <div class="p-4 md:p-8 space-y-4">
+        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+        <div class="text-xl font-bold">
+          ${esc(localized(s, "title"))} — ${episodeCode(
+      s,
+      seasonIndex,
+      epIndex
+    )}
+        </div>
+        ${CreditsBlock(ep)}
+        <div id="playerWrap" data-player-key="${esc(
+          `${kind}:${src}`
+        )}" class="relative aspect-video bg-black rounded-xl overflow-hidden border border-white/10"></div>
+        ${
+          prev || next
+            ? `
+        <div class="flex justify-between gap-2">
+          ${
+            prev
+              ? `<button class="tv-focus px-3 py-1.5 text-sm rounded bg-white/10 hover:bg-white/20"
+              onclick="navTo('${episodeHref(s.id, prev.seasonIndex, prev.epIndex)}')">${tr(
+                  "series.previous",
+                  { code: esc(episodeCode(s, prev.seasonIndex, prev.epIndex)) }
+                )}</button>`
+              : "<span></span>"
+          }
+          ${
+            next
+              ? `<button class="tv-focus px-3 py-1.5 text-sm rounded bg-white/10 hover:bg-white/20"
+              onclick="navTo('${episodeHref(s.id, next.seasonIndex, next.epIndex)}')">${tr(
+                  "series.next",
+                  { code: esc(episodeCode(s, next.seasonIndex, next.epIndex)) }
+                )}</button>`
+              : ""
+          }
+        </div>`
+            : ""
+        }
+        ${ShareAtTimeButton(
+          episodeHref(s.id, seasonIndex, epIndex, kind),
+          `${localized(s, "title")} — ${episodeCode(s, seasonIndex, epIndex)}`
+        )}
+      </div>
+    `;
+  }
+
+  function episodeHref(seriesId, seasonIndex, epIndex, kind = "content") {
+    return `#/episode/${seriesId}/${seasonIndex}/${epIndex}?kind=${kind}`;
+  }
+
+  function episodeCode(series, seasonIndex, epIndex) {
+    const season = series?.seasons?.[Number(seasonIndex)];
+    const ep = season?.episodes?.[Number(epIndex)];
+    return `S${season?.seasonNumber || Number(seasonIndex) + 1}E${
+      ep?.episodeNumber || Number(epIndex) + 1
+    }`;
+  }
+
+  // Steps through seasons[].episodes[] in order, crossing season
+  // boundaries and skipping seasons that have no episodes.
+  function adjacentEpisode(series, seasonIndex, epIndex, dir) {
+    const seasons = series?.seasons || [];
+    let si = Number(seasonIndex);
+    let ei = Number(epIndex) + dir;
+
+    while (si >= 0 && si < seasons.length) {
+      const eps = seasons[si]?.episodes || [];
+      if (ei >= 0 && ei < eps.length) {
+        return { seasonIndex: si, epIndex: ei, episode: eps[ei] };
+      }
+      si += dir;
+      ei = dir > 0 ? 0 : (seasons[si]?.episodes || []).length - 1;
+    }
+    return null;
+  }
+
+  // =========================================================
+  // SEARCH INDEX (client-side, fuzzy, weighted)
+  // =========================================================
+  const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    cast: 5,
+    director: 5,
+    writers: 4,
+    genre: 3,
+    synopsis: 1,
+  };
+  const SEARCH_EPISODE_WEIGHT = 0.8;
+  const SEARCH_FILTER_KEYS = ["type", "genre", "year", "runtime"];
+  const RUNTIME_BUCKETS = {
+    short: { test: (m) => m > 0 && m <= 40 },
+    feature: { test: (m) => m > 40 && m <= 120 },
+    long: { test: (m) => m > 120 },
+  };
+
+  function normalizeText(str = "") {
+    return String(str)
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  function tokenize(str) {
+    return normalizeText(str).split(" ").filter(Boolean);
+  }
+
+  function listText(v) {
+    if (Array.isArray(v)) return v.join(" ");
+    return v ? String(v) : "";
+  }
+
+  // The catalog's text and the current locale's, so a title is found by
+  // either name.
+  function bothLocales(item, field) {
+    const own = item[field] || "";
+    const shown = localized(item, field) || "";
+    return own === shown ? [own] : [own, shown];
+  }
+
+  function searchFields(item, series = null) {
+    const synopsis = item.synopsis ? "synopsis" : "description";
+    return {
+      title: tokenize(bothLocales(item, "title").join(" ")),
+      cast: tokenize(listText(item.actors || item.cast)),
+      director: tokenize(listText(item.director || item.directors)),
+      writers: tokenize(listText(item.writers || item.writer)),
+      genre: tokenize(listText(item.genre || series?.genre)),
+      synopsis: tokenize(bothLocales(item, synopsis).join(" ")),
+    };
+  }
+
+  function buildSearchIndex(titles) {
+    const entries = [];
+    titles.forEach((t) => {
+      entries.push({
+        kind: "title",
+        item: t,
+        series: null,
+        fields: searchFields(t),
+        phrases: bothLocales(t, "title").map(normalizeText),
+      });
+
+      if (t.type !== "series") return;
+      (t.seasons || []).forEach((season, si) => {
+        (season.episodes || []).forEach((ep, ei) => {
+          entries.push({
+            kind: "episode",
+            item: ep,
+            series: t,
+            seasonIndex: si,
+            epIndex: ei,
+            fields: searchFields(ep, t),
+            phrases: bothLocales(ep, "title").map(normalizeText),
+          });
+        });
+      });
+    });
+    return entries;
+  }
+
+  // Levenshtein distance that gives up once it exceeds `max`.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(
+          prev[j] + 1,
+          cur[j - 1] + 1,
+          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        rowMin = Math.min(rowMin, cur[j]);
+      }
+      if (rowMin > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  function tokenMatch(q, token) {
+    if (q === token) return 1;
+    if (q.length >= 2 && token.startsWith(q)) return 0.8;
+    if (q.length >= 3 && token.includes(q)) return 0.5;
+
+    const maxTypos = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+    if (!maxTypos) return 0;
+    const d = Math.min(
+      editDistance(q, token, maxTypos),
+      editDistance(q, token.slice(0, q.length), maxTypos)
+    );
+    return d <= maxTypos ? 0.6 - d * 0.15 : 0;
+  }
+
+  // Every query token must match some field; the best field per token counts.
+  function scoreEntry(entry, qTokens, qPhrase) {
+    let total = 0;
+    for (const q of qTokens) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(entry.fields)) {
+        const weight = SEARCH_FIELD_WEIGHTS[field] || 1;
+        for (const token of tokens) {
+          const m = tokenMatch(q, token) * weight;
+          if (m > best) best = m;
+        }
+      }
+      if (!best) return 0;
+      total += best;
+    }
+    if (qPhrase && entry.phrases.some((p) => p.includes(qPhrase))) {
+      total += SEARCH_FIELD_WEIGHTS.title * 2;
+    }
+    return entry.kind === "episode" ? total * SEARCH_EPISODE_WEIGHT : total;
+  }
+
+  function entryMatchesFilters(entry, filters) {
+    const t = entry.series || entry.item;
+    const it = entry.item;
+
+    if (filters.type && t.type !== filters.type) return false;
+    if (
+      filters.genre &&
+      !t.genre.some(
+        (g) => normalizeText(g) === normalizeText(filters.genre)
+      )
+    )
+      return false;
+    if (
+      filters.year &&
+      String(it.releaseYear || t.releaseYear || "") !== String(filters.year)
+    )
+      return false;
+    if (filters.runtime) {
+      const bucket = RUNTIME_BUCKETS[filters.runtime];
+      const mins = Number(it.runtimeMins || t.runtimeMins) || 0;
+      if (bucket && !bucket.test(mins)) return false;
+    }
+    return true;
+  }
+
+  function searchCatalog(query, filters = {}) {
+    const index = state.searchIndex || [];
+    const qTokens = tokenize(query);
+
+    if (!qTokens.length) {
+      return index
+        .filter(
+          (e) =>
+            e.kind === "title" &&
+            isAllowed(e.item) &&
+            entryMatchesFilters(e, filters)
+        )
+        .map((e) => ({ entry: e, score: 0 }));
+    }
+
+    const qPhrase = normalizeText(query);
+    return index
+      .filter((e) => isAllowed(e.item) && entryMatchesFilters(e, filters))
+      .map((e) => ({ entry: e, score: scoreEntry(e, qTokens, qPhrase) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 60);
+  }
+
+  function searchFacets() {
+    const types = new Set();
+    const genres = new Set();
+    const years = new Set();
+    state.titles.forEach((t) => {
+      if (t.type) types.add(t.type);
+      t.genre.forEach((g) => genres.add(g));
+      if (t.releaseYear) years.add(String(t.releaseYear));
+    });
+    return {
+      type: [...types].map((v) => ({ value: v, label: typeLabel(v) })),
+      genre: [...genres].sort().map((v) => ({ value: v, label: v })),
+      year: [...years]
+        .sort((a, b) => b - a)
+        .slice(0, 12)
+        .map((v) => ({ value: v, label: v })),
+      runtime: Object.keys(RUNTIME_BUCKETS).map((v) => ({
+        value: v,
+        label: tr(`search.runtime.${v}`),
+      })),
+    };
+  }
+
+  function searchHash(params) {
+    const qs = new URLSearchParams();
+    ["q", ...SEARCH_FILTER_KEYS].forEach((k) => {
+      if (params[k]) qs.set(k, params[k]);
+    });
+    const str = qs.toString();
+    return str ? `#/search?${str}` : "#/search";
+  }
+
+  // =========================================================
+  // SEARCH PAGE
+  // =========================================================
+  function SearchPage(params = {}) {
+    return `
+      <div class="p-4 md:p-8 space-y-4">
+        <div class="text-2xl font-bold">${tr("search.title")}</div>
+        <input id="searchInput" class="w-full px-4 py-3 rounded-xl bg-white/10 outline-none"
+          placeholder="${tr("search.placeholder")}" value="${esc(
+            params.q || ""
+          )}" />
+        <div id="searchFilters" class="space-y-2"></div>
+        <div id="searchResults" class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-3 mt-2"></div>
+      </div>
+    `;
+  }
+
+  function SearchFilters(params) {
+    const facets = searchFacets();
+    return SEARCH_FILTER_KEYS.map((key) => {
+      const options = facets[key];
+      if (!options.length) return "";
+      return `
+        <div class="flex gap-2 overflow-x-auto no-scrollbar" data-focus-row="search-${key}">
+          ${options
+            .map((o) => {
+              const active = String(params[key] || "") === String(o.value);
+              return `<button class="tv-focus shrink-0 px-3 py-1 rounded-full text-xs ${
+                active ? "bg-white text-black" : "bg-white/10 hover:bg-white/20"
+              }" onclick="setSearchFilter('${key}', '${esc(
+                String(o.value).replace(/'/g, "\\'")
+              )}')">${esc(o.label)}</button>`;
+            })
+            .join("")}
+        </div>
+      `;
+    }).join("");
+  }
+
+  function SearchResult({ entry }) {
+    if (entry.kind === "episode") {
+      const { series, item: ep, seasonIndex, epIndex } = entry;
+      const href = episodeHref(series.id, seasonIndex, epIndex);
+      return `
+        <button class="tv-focus text-left group" onclick="navTo('${href}')">
+          <div class="rounded-xl overflow-hidden bg-white/5 border border-white/10">
+            <div class="aspect-[2/3]">
+              ${ArtImage({
+                src: ep.thumbnailUrl || poster(series),
+                placeholder: artPlaceholder(series),
+                cls: "w-full h-full object-cover",
+              })}
+            </div>
+          </div>
+          <div class="mt-2 text-sm line-clamp-1">${esc(
+            localized(ep, "title") || tr("common.untitled")
+          )}</div>
+          <div class="text-xs text-white/60 line-clamp-1">${esc(
+            localized(series, "title") || tr("type.series")
+          )} • ${esc(episodeCode(series, seasonIndex, epIndex))}</div>
+        </button>
+      `;
+    }
+
+    const t = entry.item;
+    return `
+      <button class="tv-focus text-left group" onclick="navTo('#/${
+        t.type === "series" ? "series" : "title"
+      }/${t.id}')">
+        <div class="rounded-xl overflow-hidden bg-white/5 border border-white/10">
+          <div class="aspect-[2/3]">
+            ${ArtImage({
+              src: poster(t) || hero(t),
+              srcset: artSrcset(t, "Poster"),
+              sizes: POSTER_SIZES,
+              placeholder: artPlaceholder(t),
+              cls: "w-full h-full object-cover",
+            })}
+          </div>
+        </div>
+        <div class="mt-2 text-sm line-clamp-1">${esc(
+          localized(t, "title") || tr("common.untitled")
+        )}</div>
+      </button>
+    `;
+  }
+
+  let searchParams = {};
+
+  function showSearchResults() {
+    const results = document.getElementById("searchResults");
+    const filtersEl = document.getElementById("searchFilters");
+    if (!results) return;
+
+    if (filtersEl) filtersEl.innerHTML = SearchFilters(searchParams);
+    const found = searchCatalog(searchParams.q || "", searchParams);
+    results.innerHTML = found.length
+      ? found.map(SearchResult).join("")
+      : `<div class="col-span-full text-sm text-white/60">${tr(
+          "search.noResults"
+        )}</div>`;
+    observeArt();
+    if (isTV()) tvFocusReset();
+  }
+
+  // Keeps the query string linkable without re-rendering the page, so the
+  // rewritten hash must not read as a navigation on the next render.
+  function syncSearchHash() {
+    try {
+      history.replaceState(history.state, "", searchHash(searchParams));
+      lastRenderedHash = location.hash;
+    } catch (_) {}
+  }
+
+  function setSearchFilter(key, value) {
+    if (!SEARCH_FILTER_KEYS.includes(key)) return;
+    searchParams = {
+      ...searchParams,
+      [key]: String(searchParams[key] || "") === String(value) ? "" : value,
+    };
+    syncSearchHash();
+    showSearchResults();
+  }
+
+  function wireSearch(params = {}) {
+    const input = document.getElementById("searchInput");
+    if (!input) return;
+
+    if (firstMount(input)) {
+      searchParams = { ...params };
+      input.addEventListener("input", (e) => {
+        searchParams = { ...searchParams, q: e.target.value };
+        syncSearchHash();
+        showSearchResults();
+      });
+    }
+    showSearchResults();
+  }
+
+  let loginView = "login";
+  function setLoginView(view) {
+    loginView = view === "signup" ? "signup" : "login";
+    navTo(loginHref(loginView, state.route.params.next));
+  }
+
+  function LoginPage() {
+    if (!supabase) {
+      return `
+        <div class="p-6 max-w-md mx-auto space-y-3">
+          <div class="text-2xl font-bold">${tr("nav.logIn")}</div>
+          <div class="text-white/70 text-sm">
+            Supabase isn’t configured yet. Add SUPABASE_URL and SUPABASE_ANON_KEY to /config.json.
+          </div>
+        </div>
+      `;
+    }
+
+    const isLogin = loginView === "login";
+    return `
+      <div class="p-6 max-w-md mx-auto space-y-5">
+        <div class="text-2xl font-black">${tr("auth.welcome")}</div>
+
+        <p class="text-xs text-white/60">${tr("auth.intro")}</p>
+
+        <div class="flex rounded-xl bg-white/5 border border-white/10 p-1 text-sm">
+          <button class="tv-focus flex-1 py-2 rounded-lg ${
+            isLogin ? "bg-white/15" : "hover:bg-white/10 text-white/70"
+          }"
+            onclick="setLoginView('login')">${tr("gate.logIn")}</button>
+          <button class="tv-focus flex-1 py-2 rounded-lg ${
+            !isLogin ? "bg-white/15" : "hover:bg-white/10 text-white/70"
+          }"
+            onclick="setLoginView('signup')">${tr(
+              "cta.becomeMember"
+            )}</button>
+        </div>
+
+        ${
+          !isLogin
+            ? `
+          <div class="space-y-2">
+            <div class="text-xs text-white/60">${tr("auth.fullName")}</div>
+            <input id="signupName" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="${tr(
+              "auth.namePlaceholder"
+            )}"/>
+          </div>`
+            : ""
+        }
+
+        <div class="space-y-2">
+          <div class="text-xs text-white/60">${tr("auth.email")}</div>
+          <input id="loginEmail" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="you@email.com"/>
+        </div>
+
+        <div class="space-y-2">
+          <div class="text-xs text-white/60">${tr("auth.password")}</div>
+          <input id="loginPass" type="password" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="••••••••"/>
+        </div>
+
+        ${
+          !isLogin
+            ? `
+          <div class="space-y-2">
+            <div class="text-xs text-white/60">${tr(
+              "auth.confirmPassword"
+            )}</div>
+            <input id="signupPass2" type="password" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="••••••••"/>
+          </div>`
+            : ""
+        }
+
+        <button class="tv-focus w-full px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
+          onclick="${isLogin ? "handleSignIn()" : "handleSignUp()"}">
+          ${tr(isLogin ? "gate.logIn" : "auth.createAccount")}
+        </button>
+
+        <div class="text-[11px] text-white/50">${tr("auth.terms")}</div>
+      </div>
+    `;
+  }
+
+  function LanguagePanel() {
+    return `
+      <div class="bg-white/5 border border-white/10 rounded-xl p-4 space-y-3">
+        <div>
+          <div class="font-semibold">${tr("profile.language")}</div>
+          <div class="text-xs text-white/60">${tr("profile.languageHint")}</div>
+        </div>
+        <div class="flex flex-wrap gap-2" data-focus-row="language">
+          ${Object.entries(LOCALE_NAMES)
+            .map(
+              ([code, name]) => `
+            <button class="tv-focus px-3 py-1.5 rounded-lg text-sm ${
+              code === currentLocale
+                ? "bg-white text-black"
+                : "bg-white/10 hover:bg-white/20"
+            }" lang="${code}" onclick="setLocale('${code}')">${esc(
+                name
+              )}</button>`
+            )
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  function ProfilePage() {
+    if (!supabase) return NotFound("Auth not configured.");
+    if (!state.user) return NotFound(tr("auth.notLoggedIn"));
+    return `
+      <div class="p-6 max-w-3xl mx-auto space-y-4">
+        <div class="text-2xl font-bold">${tr("profile.title")}</div>
+        <div class="bg-white/5 border border-white/10 rounded-xl p-4 space-y-2">
+          <div>
+            <div class="text-sm text-white/60">${tr("auth.email")}</div>
+            <div class="font-semibold">${esc(state.user.email)}</div>
+          </div>
+        </div>
+        ${LanguagePanel()}
+        ${SubscriptionPanel()}
+        ${ParentalControlsPanel()}
+      </div>
+    `;
+  }
+
+  function LockedPage(item) {
+    const unlock = `#/parental?mode=unlock&item=${encodeURIComponent(
+      lockOwnerId(item)
+    )}&next=${encodeURIComponent(safeNext(location.hash) || "#/home")}`;
+    return `
+      <div class="min-h-[calc(100vh-64px)] flex flex-col items-center justify-center gap-4 px-6 text-center">
+        <div class="text-5xl">🔒</div>
+        <div class="text-2xl font-black">${tr("parental.locked", {
+          title: esc(localized(item, "title") || tr("common.thisTitle")),
+        })}</div>
+        <p class="text-white/70 max-w-md text-sm">${tr("parental.lockedBody", {
+          rating: esc(maturityRating(item)),
+        })}</p>
+        <div class="flex gap-2">
+          <button class="tv-focus px-5 py-2.5 rounded-lg bg-watchRed font-bold hover:opacity-90"
+            data-href="${esc(unlock)}" onclick="navToButton(this)">${tr(
+              "parental.enterPin"
+            )}</button>
+          <button class="tv-focus px-5 py-2.5 rounded-lg bg-white/10 hover:bg-white/20"
+            onclick="history.back()">${tr("common.goBack")}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  function ParentalControlsPanel() {
+    const current = maturityLimit();
+    return `
+      <div class="bg-white/5 border border-white/10 rounded-xl p-4 space-y-3">
+        <div>
+          <div class="font-semibold">${tr("parental.title")}</div>
+          <div class="text-xs text-white/60">${tr("parental.limitFor", {
+            name: esc(state.profile?.name || tr("parental.thisProfile")),
+          })} ${tr(
+            storedPinHash() ? "parental.raiseNeedsPin" : "parental.firstSetsPin"
+          )}</div>
+        </div>
+        <div class="flex flex-wrap gap-2" data-focus-row="maturity">
+          ${MATURITY_LIMITS.map(
+            (m) => `
+            <button class="tv-focus px-3 py-1.5 rounded-lg text-sm ${
+              m.level === current
+                ? "bg-white text-black"
+                : "bg-white/10 hover:bg-white/20"
+            }" onclick="requestMaturityLimit(${m.level})"
+              title="${esc(m.hint || tr("parental.allRatings"))}">${tr(
+              `parental.limit.${m.key}`
+            )}</button>`
+          ).join("")}
+        </div>
+        <button class="tv-focus text-xs text-white/70 hover:text-white"
+          onclick="navTo('#/parental?mode=${
+            storedPinHash() ? "change" : "set"
+          }&next=${encodeURIComponent("#/profile")}')">${
+      tr(storedPinHash() ? "parental.changePin" : "parental.setPin")
+    }</button>
+      </div>
+    `;
+  }
+
+  function PinPad() {
+    const keys = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "⌫", "0", "OK"];
+    return `
+      <div id="pinPad" class="space-y-4">
+        <div id="pinDots" class="flex justify-center gap-3">${pinDots()}</div>
+        <div id="pinMessage" class="text-sm text-watchGold min-h-[1.25rem]"></div>
+        <div class="grid grid-cols-3 gap-2 w-64 mx-auto">
+          ${keys
+            .map((k) => {
+              const action =
+                k === "⌫"
+                  ? "pinBackspace()"
+                  : k === "OK"
+                  ? "pinSubmit()"
+                  : `pinPress('${k}')`;
+              return `<button class="tv-focus h-14 rounded-xl text-xl font-bold ${
+                k === "OK" ? "bg-watchRed" : "bg-white/10 hover:bg-white/20"
+              }" onclick="${action}">${k}</button>`;
+            })
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  function ParentalPage({ mode, next }) {
+    const titles = {
+      unlock: tr("parental.pin.unlock"),
+      limit: tr("parental.pin.limit"),
+      change: tr("parental.pin.change"),
+      verify: tr("parental.pin.verify"),
+      set: pinFirst
+        ? tr("parental.pin.confirm")
+        : tr("parental.pin.create", { count: PIN_LENGTH }),
+    };
+    return `
+      <div class="min-h-[calc(100vh-64px)] flex flex-col items-center justify-center gap-6 p-6 text-center">
+        <div class="text-2xl font-black">${esc(titles[pinMode(mode)] || titles.unlock)}</div>
+        ${PinPad()}
+        <button class="tv-focus text-xs text-white/70 hover:text-white"
+          data-href="${esc(next || "")}" onclick="navToButton(this)">${tr(
+            "common.cancel"
+          )}</button>
+      </div>
+    `;
+  }
+
+  function ProfilePickerPage(manage = false) {
+    const profiles = state.profiles;
+
+    return `
+      <div class="min-h-[calc(100vh-64px)] flex flex-col items-center justify-center gap-6 p-6 text-center">
+        <div class="text-2xl md:text-3xl font-black">${
+          tr(manage ? "profiles.manage" : "profiles.whoIsWatching")
+        }</div>
+        <div class="flex flex-wrap justify-center gap-4" data-focus-row="profiles">
+          ${profiles
+            .map((p) =>
+              manage
+                ? `
+            <div class="w-40 p-3 rounded-xl bg-white/5 border border-white/10 space-y-2">
+              <button class="tv-focus w-20 h-20 mx-auto rounded-xl bg-white/10 text-4xl flex items-center justify-center"
+                onclick="cycleProfileAvatar('${esc(p.id)}')"
+                aria-label="${tr("profiles.changeAvatar")}">${esc(
+                  p.avatar || "🙂"
+                )}</button>
+              <input id="profileName_${esc(p.id)}" value="${esc(p.name)}"
+                class="w-full px-2 py-1 rounded bg-white/10 text-sm text-center" />
+              <div class="flex gap-1">
+                <button class="tv-focus flex-1 px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-xs"
+                  onclick="renameProfile('${esc(p.id)}')">${tr(
+                    "common.save"
+                  )}</button>
+                <button class="tv-focus flex-1 px-2 py-1 rounded bg-watchRed/80 hover:bg-watchRed text-xs"
+                  onclick="removeProfile('${esc(p.id)}')">${tr(
+                    "common.delete"
+                  )}</button>
+              </div>
+            </div>`
+                : `
+            <button class="tv-focus w-32 space-y-2" onclick="chooseProfile('${esc(p.id)}')">
+              <div class="w-28 h-28 mx-auto rounded-xl bg-white/10 text-5xl flex items-center justify-center ${
+                state.profile?.id === p.id ? "ring-2 ring-watchRed" : ""
+              }">${esc(p.avatar || "🙂")}</div>
+              <div class="text-sm">${esc(p.name)}</div>
+            </button>`
+            )
+            .join("")}
+        </div>
+        ${
+          manage && profiles.length < MAX_PROFILES
+            ? `
+        <div class="flex gap-2">
+          <input id="newProfileName" placeholder="${tr("profiles.newName")}"
+            class="px-3 py-2 rounded bg-white/10 text-sm" />
+          <button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
+            onclick="addProfile()">${tr("profiles.add")}</button>
+        </div>`
+            : ""
+        }
+        <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm"
+          onclick="navTo('${manage ? "#/profiles" : "#/profiles?manage=1"}')">${
+      tr(manage ? "common.done" : "profiles.manage")
+    }</button>
+      </div>
+    `;
+  }
+
+  function MyListPage() {
+    const items = myListItems().filter(isAllowed);
+    return `
+      <div class="p-4 md:p-8 space-y-4">
+        <div class="text-2xl font-bold">${tr("nav.myList")}</div>
+        ${
+          items.length
+            ? `<div class="flex flex-wrap gap-3">${items
+                .map((t) => Card(t))
+                .join("")}</div>`
+            : `<div class="text-white/70 text-sm">${tr("myList.empty")}</div>`
+        }
+      </div>
+    `;
+  }
+
+  // Hidden route (#/diagnostics) for the CMS team; not linked from the UI.
+  function DiagnosticsPage() {
+    const issues = state.diagnostics || [];
+    const errors = issues.filter((d) => d.level === "error").length;
+    const warnings = issues.length - errors;
+
+    return `
+      <div class="p-4 md:p-8 max-w-5xl mx-auto space-y-4">
+        <div class="text-2xl font-bold">${tr("diag.title")}</div>
+        <div class="flex gap-2 text-xs">
+          <span class="px-2 py-1 rounded bg-watchRed/20 text-watchRed">${tr(
+            "diag.errors",
+            { count: errors }
+          )}</span>
+          <span class="px-2 py-1 rounded bg-watchGold/20 text-watchGold">${tr(
+            "diag.warnings",
+            { count: warnings }
+          )}</span>
+          <span class="px-2 py-1 rounded bg-white/10">${tr("diag.titles", {
+            count: state.titles.length,
+          })}</span>
+        </div>
+        ${
+          issues.length
+            ? `
+        <div class="rounded-xl border border-white/10 overflow-hidden text-sm">
+          ${issues
+            .map(
+              (d) => `
+            <div class="grid grid-cols-[80px_1fr] md:grid-cols-[80px_160px_260px_1fr] gap-2 px-3 py-2 border-b border-white/5">
+              <div class="${
+                d.level === "error" ? "text-watchRed" : "text-watchGold"
+              } font-semibold uppercase text-xs">${tr(
+                `diag.level.${d.level}`
+              )}</div>
+              <div class="font-mono text-xs text-white/70 break-all">${esc(
+                d.titleId || "—"
+              )}</div>
+              <div class="font-mono text-xs text-white/60 break-all">${esc(
+                d.path
+              )}</div>
+              <div>${esc(d.message)}</div>
+            </div>
+          `
+            )
+            .join("")}
+        </div>`
+            : `<div class="text-white/70">${tr("diag.noProblems")}</div>`
+        }
+        <div class="text-xs text-white/50">${tr("diag.consoleHint", {
+          code: `<span class="font-mono">validateCatalog(catalogJson)</span>`,
+        })}</div>
+        ${VastFixturesPanel()}
+      </div>
+    `;
+  }
+
+  function NotFound(msg = tr("common.notFound")) {
+    return `
+      <div class="p-6 text-center space-y-2">
+        <div class="text-xl font-bold">${esc(msg)}</div>
+        <button class="tv-focus px-4 py-2 rounded bg-white/10 hover:bg-white/20" onclick="setTab('Home')">${tr(
+          "common.goHome"
+        )}</button>
+      </div>
+    `;
+  }
+
+  function renderLoading() {
+    app.innerHTML = `
+      <div class="min-h-screen flex flex-col items-center justify-center gap-4 bg-watchBlack">
+        <div class="animate-pulse w-16 h-16 rounded-2xl bg-white/10"></div>
+        <div class="text-white/70 text-sm">${tr("common.loading")}</div>
+      </div>
+    `;
+  }
+
+  function renderError(err) {
+    app.innerHTML = `
+      <div class="min-h-screen flex flex-col items-center justify-center gap-4 p-6 text-center bg-watchBlack">
+        <div class="text-2xl font-bold text-watchRed">${tr(
+          "common.loadFailed"
+        )}</div>
+        <div class="text-white/70 max-w-xl">${esc(err?.message || err)}</div>
+        <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20" onclick="location.reload()">${tr(
+          "common.retry"
+        )}</button>
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // PLAYER MOUNT + VAST
+  // =========================================================
+  let pendingPlayback = null;
+
+  function ResumePrompt(entry) {
     return `
-      <div class="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
-        ${
-          actors
-            ? `<div><div class="text-xs text-white/60">Actors</div><div>${esc(
-                actors
-              )}</div></div>`
-            : ""
-        }
-        ${
-          director
-            ? `<div><div class="text-xs text-white/60">Director</div><div>${esc(
-                director
-              )}</div></div>`
-            : ""
-        }
-        ${
-          writers
-            ? `<div><div class="text-xs text-white/60">Writers</div><div>${esc(
-                writers
-              )}</div></div>`
-            : ""
-        }
+      <div class="absolute inset-0 flex flex-col items-center justify-center gap-3 bg-black/80 p-4 text-center">
+        <div class="text-sm text-white/70">${tr("resume.stoppedAt", {
+          time: formatClock(entry.position),
+        })}</div>
+        <div class="flex flex-wrap justify-center gap-2">
+          <button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
+            onclick="resumePlayback(true)">${tr("resume.from", {
+              time: formatClock(entry.position),
+            })}</button>
+          <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
+            onclick="resumePlayback(false)">${tr("resume.startOver")}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Offers a resume choice when there is saved progress, otherwise mounts.
+  function startPlayback(opts) {
+    const wrap = document.getElementById("playerWrap");
+    if (!firstMount(wrap)) return;
+
+    const entry = opts.progressId ? getProgress(opts.progressId) : null;
+    if (!opts.startTime && entry && entry.position >= RESUME_MIN_SECS) {
+      pendingPlayback = { ...opts, startTime: entry.position };
+      wrap.innerHTML = ResumePrompt(entry);
+      if (isTV()) tvFocusElement(wrap.querySelector(".tv-focus"));
+      return;
+    }
+    mountPlayer(opts);
+  }
+
+  function resumePlayback(fromSaved) {
+    if (!pendingPlayback) return;
+    const opts = pendingPlayback;
+    pendingPlayback = null;
+    mountPlayer({ ...opts, startTime: fromSaved ? opts.startTime : 0 });
+  }
+
+  function mountPlayer({
+    playbackId,
+    vastTag,
+    vmapTag = "",
+    adBreaks = null,
+    directUrl,
+    streamType = "on-demand",
+    startTime = 0,
+    titleId = null,
+    kind = "content",
+    progressId = null,
+    seriesId = null,
+    subtitles = [],
+    videoCors = false,
+    onEnded = null,
+  }) {
+    const wrap = document.getElementById("playerWrap");
+    if (!wrap) return;
+
+    const tracks = TrackTags(subtitles);
+    wrap.innerHTML = playbackId
+      ? `
+      <mux-player
+        id="muxPlayer"
+        class="w-full h-full"
+        stream-type="${esc(streamType)}"
+        playback-id="${esc(playbackId)}"
+        metadata-video-title="WatchVIM"
+        ${startTime ? `start-time="${Number(startTime)}"` : ""}
+        controls autoplay playsinline
+      >${tracks}</mux-player>
+    `
+      : `
+      <video id="html5Player" class="w-full h-full" controls autoplay playsinline${
+        tracks && videoCors ? ` crossorigin="anonymous"` : ""
+      }>
+        <source src="${esc(directUrl || "")}" type="video/mp4" />
+        ${tracks}
+      </video>
+    `;
+
+    const el = wrap.querySelector("#muxPlayer, #html5Player");
+    if (el && !playbackId && startTime) {
+      el.addEventListener(
+        "loadedmetadata",
+        () => {
+          el.currentTime = Number(startTime);
+        },
+        { once: true }
+      );
+    }
+    if (el && progressId) trackProgress(el, { progressId, seriesId });
+    if (el) attachTracks(el);
+    const context = {
+      surface: "vod",
+      titleId,
+      seriesId,
+      kind,
+      playbackId: playbackId || null,
+      live: streamType === "live",
+    };
+    if (el) instrumentPlayer(el, context);
+
+    const ads =
+      el && (vastTag || vmapTag)
+        ? createAdController(wrap, el, {
+            vastTag,
+            vmapTag,
+            breaks: adBreaks,
+            context,
+          })
+        : null;
+    if (el) {
+      el.addEventListener("ended", () => {
+        if (ads?.isInBreak()) return;
+        const done = () => onEnded?.();
+        if (ads) ads.afterContent(done);
+        else done();
+      });
+    }
+  }
+
+  // mux-player re-dispatches the underlying media events, so the same
+  // listeners work for both the Mux and the plain <video> fallback.
+  function trackProgress(el, { progressId, seriesId }) {
+    let lastSavedAt = 0;
+    const save = () =>
+      saveProgress(progressId, {
+        seriesId,
+        position: el.currentTime,
+        duration: el.duration,
+      });
+
+    el.addEventListener("timeupdate", () => {
+      const now = Date.now();
+      if (now - lastSavedAt < PROGRESS_SAVE_INTERVAL_MS) return;
+      lastSavedAt = now;
+      save();
+    });
+    el.addEventListener("pause", save);
+    el.addEventListener("ended", () => finishProgress(progressId, seriesId));
+  }
+
+  // =========================================================
+  // TRACKS (subtitles, captions, audio)
+  // =========================================================
+  // Sidecar WebVTT tracks come from the catalog's subtitles[] on a title or
+  // episode; HLS streams may add their own text/audio tracks later. Either
+  // way the profile's saved languages are applied as tracks appear.
+  const CAPTION_SIZES = { s: "80%", m: "100%", l: "140%" };
+  const CAPTION_BACKGROUNDS = {
+    none: "transparent",
+    shaded: "rgba(0, 0, 0, 0.6)",
+    solid: "#000",
+  };
+  const TEXT_TRACK_KINDS = ["subtitles", "captions"];
+
+  function subtitleTracksFor(item) {
+    return (Array.isArray(item?.subtitles) ? item.subtitles : [])
+      .filter((s) => s?.src && s?.lang)
+      .map((s) => ({
+        src: s.src,
+        lang: s.lang,
+        label: s.label || s.lang,
+        kind: s.kind === "captions" ? "captions" : "subtitles",
+      }));
+  }
+
+  // Cross-origin <track> files only load in CORS mode, but CORS mode also
+  // applies to the video, which fails outright on a host without CORS
+  // headers. Same-origin files are safe; others need videoCors in the catalog.
+  function videoCorsFor(item, url) {
+    if (item?.videoCors) return true;
+    try {
+      return new URL(url, location.href).origin === location.origin;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function TrackTags(tracks) {
+    return tracks
+      .map(
+        (s) =>
+          `<track kind="${s.kind}" srclang="${esc(s.lang)}" label="${esc(
+            s.label
+          )}" src="${esc(s.src)}" />`
+      )
+      .join("");
+  }
+
+  // subtitleLang: undefined means "never chosen" (the stream's default
+  // track stays), "" means subtitles off.
+  function trackPrefs() {
+    const p = readPrefs();
+    return {
+      subtitleLang: p.subtitleLang,
+      audioLang: p.audioLang || "",
+      captionSize: CAPTION_SIZES[p.captionSize] ? p.captionSize : "m",
+      captionBg: CAPTION_BACKGROUNDS[p.captionBg] ? p.captionBg : "shaded",
+    };
+  }
+
+  function textTracksOf(el) {
+    return Array.from(el.textTracks || []).filter((t) =>
+      TEXT_TRACK_KINDS.includes(t.kind)
+    );
+  }
+
+  function applyTrackPrefs(el) {
+    const { subtitleLang, audioLang } = trackPrefs();
+    if (subtitleLang !== undefined) {
+      const pick = subtitleLang
+        ? textTracksOf(el).find((t) => baseLang(t.language) === subtitleLang)
+        : null;
+      textTracksOf(el).forEach((t) => {
+        t.mode = t === pick ? "showing" : "disabled";
+      });
+    }
+    const audio = Array.from(el.audioTracks || []);
+    const wanted = audio.find((t) => baseLang(t.language) === audioLang);
+    if (wanted) audio.forEach((t) => (t.enabled = t === wanted));
+  }
+
+  // ::cue only styles videos in its own document or shadow root, and
+  // mux-player keeps its <video> inside shadow DOM, so the rule goes in
+  // beside each video rather than once in <head>.
+  function applyCaptionStyle(video) {
+    const root = video?.getRootNode();
+    if (root !== document && !(root instanceof ShadowRoot)) return;
+    const { captionSize, captionBg } = trackPrefs();
+    const size = CAPTION_SIZES[captionSize];
+    const bg = CAPTION_BACKGROUNDS[captionBg];
+    const parent = root === document ? document.head : root;
+    let style = parent.querySelector("style[data-caption-style]");
+    if (!style) {
+      style = document.createElement("style");
+      style.dataset.captionStyle = "";
+      parent.appendChild(style);
+    }
+    style.textContent = `::cue { font-size: ${size}; background-color: ${bg}; }`;
+  }
+
+  function attachTracks(el) {
+    const apply = () => applyTrackPrefs(el);
+    el.addEventListener("loadedmetadata", apply);
+    el.textTracks?.addEventListener?.("addtrack", apply);
+    el.audioTracks?.addEventListener?.("addtrack", apply);
+    whenMediaReady(el).then(applyCaptionStyle);
+    apply();
+
+    const host = el.parentElement;
+    if (!host || host.querySelector("[data-track-toggle]")) return;
+    host.insertAdjacentHTML(
+      "beforeend",
+      `<button data-track-toggle class="tv-focus absolute top-2 right-2 z-20 px-2 py-1 rounded bg-black/70 border border-white/20 text-xs"
+        onclick="toggleTrackMenu(this)" aria-label="${esc(
+          tr("tracks.button")
+        )}">CC</button>`
+    );
+  }
+
+  function activePlayers() {
+    return document.querySelectorAll("#muxPlayer, #html5Player, #loopPlayer");
+  }
+
+  function TrackMenu(el) {
+    const prefs = trackPrefs();
+    const text = textTracksOf(el);
+    const audio = Array.from(el.audioTracks || []);
+    const showing = text.find((t) => t.mode === "showing");
+    const option = (selected, label, key, value) => `
+      <button class="tv-focus px-2 py-1 rounded text-xs ${
+        selected ? "bg-white text-black" : "bg-white/10 hover:bg-white/20"
+      }" data-track-pref="${key}" data-value="${esc(value)}">${esc(
+      label
+    )}</button>`;
+    const group = (title, row, buttons) => `
+      <div class="space-y-1">
+        <div class="text-[11px] uppercase tracking-wide text-white/60">${title}</div>
+        <div class="flex flex-wrap gap-1" data-focus-row="${row}">${buttons}</div>
+      </div>`;
+
+    return `
+      <div data-track-menu class="absolute top-11 right-2 z-20 w-64 max-h-[85%] overflow-y-auto p-3 rounded-lg bg-black/90 border border-white/10 space-y-3">
+        ${group(
+          tr("tracks.subtitles"),
+          "tracks-text",
+          option(!showing, tr("tracks.off"), "subtitleLang", "") +
+            text
+              .map((t) =>
+                option(
+                  t === showing,
+                  t.label || t.language || t.kind,
+                  "subtitleLang",
+                  baseLang(t.language)
+                )
+              )
+              .join("")
+        )}
         ${
-          imdb || rt
-            ? `
-          <div class="flex gap-2 items-end">
-            ${
-              imdb
-                ? `<span class="px-2 py-1 rounded bg-white/10 text-xs">IMDb: <b>${esc(
-                    imdb
-                  )}</b></span>`
-                : ""
-            }
-            ${
-              rt
-                ? `<span class="px-2 py-1 rounded bg-white/10 text-xs">Rotten Tomatoes: <b>${esc(
-                    rt
-                  )}</b></span>`
-                : ""
-            }
-          </div>`
+          audio.length > 1
+            ? group(
+                tr("tracks.audio"),
+                "tracks-audio",
+                audio
+                  .map((t) =>
+                    option(
+                      t.enabled,
+                      t.label || t.language || "—",
+                      "audioLang",
+                      baseLang(t.language)
+                    )
+                  )
+                  .join("")
+              )
             : ""
         }
+        ${group(
+          tr("tracks.size"),
+          "tracks-size",
+          Object.keys(CAPTION_SIZES)
+            .map((k) =>
+              option(
+                k === prefs.captionSize,
+                tr(`tracks.size.${k}`),
+                "captionSize",
+                k
+              )
+            )
+            .join("")
+        )}
+        ${group(
+          tr("tracks.background"),
+          "tracks-bg",
+          Object.keys(CAPTION_BACKGROUNDS)
+            .map((k) =>
+              option(
+                k === prefs.captionBg,
+                tr(`tracks.bg.${k}`),
+                "captionBg",
+                k
+              )
+            )
+            .join("")
+        )}
+      </div>
+    `;
+  }
+
+  function toggleTrackMenu(btn) {
+    const host = btn.parentElement;
+    const open = host.querySelector("[data-track-menu]");
+    if (open) {
+      open.remove();
+      if (isTV()) tvFocusElement(btn);
+      return;
+    }
+    const el = host.querySelector("mux-player, video");
+    if (!el) return;
+    host.insertAdjacentHTML("beforeend", TrackMenu(el));
+    if (isTV()) {
+      tvFocusElement(host.querySelector("[data-track-menu] .tv-focus"));
+    }
+  }
+
+  async function setTrackPref(key, value) {
+    await savePrefs({ [key]: value });
+    activePlayers().forEach((el) => {
+      applyCaptionStyle(findMediaElement(el));
+      applyTrackPrefs(el);
+    });
+
+    const row = tvCurrent?.closest("[data-focus-row]")?.dataset.focusRow;
+    document.querySelectorAll("[data-track-menu]").forEach((menu) => {
+      const host = menu.parentElement;
+      const el = host.querySelector("mux-player, video");
+      if (!el) return;
+      menu.outerHTML = TrackMenu(el);
+      if (isTV() && row) {
+        tvFocusElement(
+          host.querySelector(`[data-focus-row="${row}"] .tv-focus`)
+        );
+      }
+    });
+  }
+
+  // Track values come from the stream (language tags), so the menu carries
+  // them in data attributes and one listener applies them.
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("[data-track-pref]");
+    if (btn) setTrackPref(btn.dataset.trackPref, btn.dataset.value);
+  });
+
+  // =========================================================
+  // UP NEXT (episode autoplay)
+  // =========================================================
+  const AUTOPLAY_COUNTDOWN_SECS = 10;
+  let upNextTimer = null;
+
+  function cancelUpNext() {
+    if (upNextTimer) clearInterval(upNextTimer);
+    upNextTimer = null;
+    document.getElementById("upNextOverlay")?.remove();
+  }
+
+  function showUpNext(series, next) {
+    const wrap = document.getElementById("playerWrap");
+    if (!wrap) return;
+    cancelUpNext();
+
+    const href = episodeHref(series.id, next.seasonIndex, next.epIndex);
+    const overlay = document.createElement("div");
+    overlay.id = "upNextOverlay";
+    overlay.className =
+      "absolute inset-0 z-20 flex flex-col items-center justify-center gap-3 bg-black/85 p-4 text-center";
+    overlay.innerHTML = `
+      <div class="text-xs uppercase tracking-widest text-watchGold/90">${tr(
+        "upNext.title"
+      )}</div>
+      <div class="text-lg font-bold">${esc(
+        episodeCode(series, next.seasonIndex, next.epIndex)
+      )} — ${esc(
+        localized(next.episode, "title") || tr("common.untitled")
+      )}</div>
+      <div class="text-sm text-white/70">${tr("upNext.playingIn", {
+        seconds: `<span id="upNextCount">${AUTOPLAY_COUNTDOWN_SECS}</span>`,
+      })}</div>
+      <div class="flex gap-2">
+        <button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
+          onclick="navTo('${href}')">${tr("upNext.playNow")}</button>
+        <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
+          onclick="cancelUpNext()">${tr("common.cancel")}</button>
       </div>
     `;
+    wrap.appendChild(overlay);
+    if (isTV()) tvFocusElement(overlay.querySelector(".tv-focus"));
+
+    let remaining = AUTOPLAY_COUNTDOWN_SECS;
+    upNextTimer = setInterval(() => {
+      const countEl = document.getElementById("upNextCount");
+      if (!countEl) return cancelUpNext();
+      remaining -= 1;
+      countEl.textContent = String(remaining);
+      if (remaining <= 0) {
+        cancelUpNext();
+        navTo(href);
+      }
+    }, 1000);
+  }
+
+  // =========================================================
+  // AD BREAKS (IMA: catalog cue points or VMAP)
+  // =========================================================
+  // Catalog cue points look like adBreaks: [0, 600, "end"] (seconds, or
+  // "start"/"end"). A VMAP tag carries its own schedule instead.
+  function adBreaksFor(item) {
+    const owner = item?.__seriesId ? state.byId.get(item.__seriesId) : null;
+    const raw = item?.adBreaks || owner?.adBreaks;
+    if (!Array.isArray(raw)) return null;
+
+    const offsets = raw
+      .map((b) => (b === "start" ? 0 : b === "end" ? "end" : Number(b)))
+      .filter((b) => b === "end" || (Number.isFinite(b) && b >= 0));
+    return [...new Set(offsets)].map((offset) => ({ offset, played: false }));
+  }
+
+  function vmapTagFor(item) {
+    const owner = item?.__seriesId ? state.byId.get(item.__seriesId) : null;
+    return item?.vmapTag || owner?.vmapTag || CONFIG.VMAP_TAG || "";
+  }
+
+  function findMediaElement(el) {
+    if (!el) return null;
+    if (el.tagName === "VIDEO") return el;
+    if (el.media?.nativeEl) return el.media.nativeEl;
+
+    const roots = [el.shadowRoot];
+    while (roots.length) {
+      const root = roots.pop();
+      if (!root) continue;
+      const video = root.querySelector("video");
+      if (video) return video;
+      root.querySelectorAll("*").forEach((n) => {
+        if (n.shadowRoot) roots.push(n.shadowRoot);
+      });
+    }
+    return null;
+  }
+
+  // Resolves once the player has loaded media, rather than polling for it.
+  function whenMediaReady(el) {
+    return new Promise((resolve) => {
+      const ready = () => resolve(findMediaElement(el) || el);
+      if (el.readyState >= 1) return ready();
+      el.addEventListener("loadedmetadata", ready, { once: true });
+    });
+  }
+
+  function drawAdMarkers(wrap, el, offsets) {
+    const draw = () => {
+      const duration = Number(el.duration);
+      if (!Number.isFinite(duration) || duration <= 0) return;
+      wrap.querySelector("#adMarkers")?.remove();
+
+      const bar = document.createElement("div");
+      bar.id = "adMarkers";
+      bar.className =
+        "absolute left-0 right-0 bottom-0 h-1 z-[5] pointer-events-none";
+      bar.innerHTML = offsets
+        .filter((o) => o === "end" || o > 0)
+        .map((o) => {
+          const pct = o === "end" ? 100 : Math.min(100, (o / duration) * 100);
+          return `<span class="absolute top-0 h-full w-1 -ml-0.5 bg-watchGold" style="left:${pct}%"></span>`;
+        })
+        .join("");
+      wrap.appendChild(bar);
+    };
+    if (Number(el.duration) > 0) draw();
+    else el.addEventListener("durationchange", draw, { once: true });
+  }
+
+  // Runs ad breaks around the content player with the IMA SDK. With catalog
+  // cue points each break is its own VAST request, played once even when the
+  // viewer seeks past it; with VMAP, IMA schedules the breaks itself.
+  function createAdController(
+    wrap,
+    el,
+    { vastTag, vmapTag, breaks, context }
+  ) {
+    const ima = window.google?.ima;
+    if (!ima || !(vmapTag || vastTag)) return null;
+
+    const cues = vmapTag
+      ? []
+      : breaks?.length
+      ? breaks
+      : [{ offset: 0, played: false }];
+
+    const adDiv = document.createElement("div");
+    adDiv.id = "adContainer";
+    adDiv.className = "absolute inset-0 z-10 hidden";
+    wrap.appendChild(adDiv);
+
+    let videoEl = null;
+    let loader = null;
+    let manager = null;
+    let inBreak = false;
+    let contentEnded = false;
+    let onBreakEnd = null;
+    let onContentDone = null;
+    let hasPostroll = false;
+
+    // IMA plays ads in its own element, so instrumentPlayer never sees them;
+    // these mirror the Loop's ad_* events instead.
+    const sendAd = (type, e = null, data = {}) =>
+      trackEvent(type, {
+        ...context,
+        surface: "ad",
+        adId: e?.getAd?.()?.getAdId?.() || null,
+        position: Math.floor(el.currentTime || 0),
+        ...data,
+      });
+    const sendAdError = (err) =>
+      sendAd("ad_error", null, {
+        message: err.getError?.()?.getMessage?.() || "",
+      });
+
+    const setAdMode = (on) => {
+      inBreak = on;
+      adDiv.classList.toggle("hidden", !on);
+    };
+    const resumeContent = () => {
+      setAdMode(false);
+      if (!contentEnded) el.play?.()?.catch?.(() => {});
+    };
+    const finishContent = () => {
+      setAdMode(false);
+      const cb = onContentDone;
+      onContentDone = null;
+      cb?.();
+    };
+    // Per-break mode hands control back through onBreakEnd; VMAP mode
+    // either resumes content or, after the post-roll, finishes it.
+    const breakOver = () => {
+      if (onBreakEnd) {
+        manager?.destroy();
+        manager = null;
+        const cb = onBreakEnd;
+        onBreakEnd = null;
+        setAdMode(false);
+        return cb();
+      }
+      return contentEnded ? finishContent() : resumeContent();
+    };
+
+    function onManagerLoaded(e) {
+      const settings = new ima.AdsRenderingSettings();
+      settings.restoreCustomPlaybackStateOnAdBreakComplete = true;
+      manager = e.getAdsManager(videoEl, settings);
+
+      const T = ima.AdEvent.Type;
+      manager.addEventListener(T.CONTENT_PAUSE_REQUESTED, () => {
+        setAdMode(true);
+        el.pause();
+      });
+      manager.addEventListener(T.CONTENT_RESUME_REQUESTED, () => {
+        if (onBreakEnd || !contentEnded) breakOver();
+      });
+      manager.addEventListener(T.ALL_ADS_COMPLETED, () => {
+        if (onBreakEnd || contentEnded) breakOver();
+      });
+      manager.addEventListener(T.STARTED, (e) => sendAd("ad_impression", e));
+      manager.addEventListener(T.COMPLETE, (e) => sendAd("ad_complete", e));
+      manager.addEventListener(T.SKIPPED, (e) => sendAd("ad_skip", e));
+      manager.addEventListener(T.CLICK, (e) => sendAd("ad_click", e));
+      manager.addEventListener(ima.AdErrorEvent.Type.AD_ERROR, (err) => {
+        console.warn("Ad break failed, continuing.", err.getError?.());
+        sendAdError(err);
+        breakOver();
+      });
+
+      if (vmapTag) {
+        const points = (manager.getCuePoints() || []).map((c) =>
+          c === -1 ? "end" : c
+        );
+        hasPostroll = points.includes("end");
+        drawAdMarkers(wrap, el, points);
+      }
+
+      try {
+        manager.init(
+          videoEl.clientWidth || wrap.clientWidth,
+          videoEl.clientHeight || wrap.clientHeight,
+          ima.ViewMode.NORMAL
+        );
+        manager.start();
+      } catch (err) {
+        console.warn("Ad playback failed, continuing.", err);
+        breakOver();
+      }
+    }
+
+    function requestAds(tag) {
+      const req = new ima.AdsRequest();
+      req.adTagUrl = tag;
+      req.linearAdSlotWidth = wrap.clientWidth;
+      req.linearAdSlotHeight = wrap.clientHeight;
+      loader.requestAds(req);
+    }
+
+    function playBreak(then) {
+      if (!loader) return then();
+      el.pause();
+      setAdMode(true);
+      onBreakEnd = then;
+      requestAds(vastTag);
+    }
+
+    whenMediaReady(el).then((media) => {
+      videoEl = media;
+      try {
+        const display = new ima.AdDisplayContainer(adDiv, videoEl);
+        loader = new ima.AdsLoader(display);
+        loader.addEventListener(
+          ima.AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED,
+          onManagerLoaded,
+          false
+        );
+        loader.addEventListener(
+          ima.AdErrorEvent.Type.AD_ERROR,
+          (err) => {
+            console.warn("Ad request failed, continuing.", err.getError?.());
+            sendAdError(err);
+            breakOver();
+          },
+          false
+        );
+        display.initialize();
+      } catch (err) {
+        console.warn("IMA setup failed, playing without ads.", err);
+        loader = null;
+        return;
+      }
+
+      if (vmapTag) requestAds(vmapTag);
+      else drawAdMarkers(wrap, el, cues.map((c) => c.offset));
+    });
+
+    // Cues the playhead has reached or jumped over; a seek across several
+    // breaks plays a single break.
+    el.addEventListener("timeupdate", () => {
+      if (vmapTag || inBreak || contentEnded || !loader) return;
+      const t = Number(el.currentTime) || 0;
+      const due = cues.filter(
+        (c) => !c.played && c.offset !== "end" && c.offset <= t
+      );
+      if (!due.length) return;
+      due.forEach((c) => {
+        c.played = true;
+      });
+      playBreak(resumeContent);
+    });
+
+    return {
+      isInBreak: () => inBreak,
+      // Plays the post-roll (if any) before handing over to `done`.
+      afterContent(done) {
+        contentEnded = true;
+        if (vmapTag) {
+          if (!loader || !hasPostroll) return done();
+          onContentDone = done;
+          loader.contentComplete();
+          return;
+        }
+        const post = cues.find((c) => c.offset === "end" && !c.played);
+        if (!post) return done();
+        post.played = true;
+        playBreak(done);
+      },
+    };
+  }
+
+  // =========================================================
+  // PLAYBACK ANALYTICS (IndexedDB queue -> batched POST)
+  // =========================================================
+  const ANALYTICS_DB = "watchvim-analytics";
+  const ANALYTICS_STORE = "events";
+  const ANALYTICS_BATCH_SIZE = 50;
+  const ANALYTICS_FLUSH_MS = 10 * 1000;
+  const ANALYTICS_RETRY_MIN_MS = 2 * 1000;
+  const ANALYTICS_RETRY_MAX_MS = 5 * 60 * 1000;
+  const ANALYTICS_QUARTILES = [25, 50, 75];
+
+  const analyticsSessionId =
+    window.crypto?.randomUUID?.() ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  let analyticsDb = null;
+  let analyticsMemory = [];
+  let analyticsTimer = null;
+  let analyticsRetryMs = 0;
+  let analyticsFlushing = false;
+  let analyticsPending = 0;
+
+  function openAnalyticsDb() {
+    if (!analyticsDb) {
+      analyticsDb = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("IndexedDB unavailable"));
+          return;
+        }
+        const req = indexedDB.open(ANALYTICS_DB, 1);
+        req.onupgradeneeded = () =>
+          req.result.createObjectStore(ANALYTICS_STORE, { autoIncrement: true });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return analyticsDb;
+  }
+
+  async function analyticsWrite(fn) {
+    const db = await openAnalyticsDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ANALYTICS_STORE, "readwrite");
+      fn(tx.objectStore(ANALYTICS_STORE));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Oldest first, with keys so a sent batch can be deleted as a range.
+  async function peekAnalytics(limit) {
+    try {
+      const db = await openAnalyticsDb();
+      return await new Promise((resolve, reject) => {
+        const out = [];
+        const req = db
+          .transaction(ANALYTICS_STORE)
+          .objectStore(ANALYTICS_STORE)
+          .openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor || out.length >= limit) return resolve(out);
+          out.push({ key: cursor.key, event: cursor.value });
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    } catch (_) {
+      return analyticsMemory
+        .slice(0, limit)
+        .map((event) => ({ key: null, event }));
+    }
   }
 
-  // =========================================================
-  // HOME + TABS
-  // =========================================================
-  function HomePage() {
-    const all = state.titles.slice();
+  async function dropAnalytics(batch) {
+    if (batch[0].key == null) {
+      analyticsMemory = analyticsMemory.slice(batch.length);
+      return;
+    }
+    const range = IDBKeyRange.bound(batch[0].key, batch[batch.length - 1].key);
+    await analyticsWrite((store) => store.delete(range));
+  }
 
-    if (state.activeTab === "Home") {
-      const featured = sortFeatured(featuredItems());
-      const heroItems = (featured.length ? featured : all).slice(0, 1);
+  async function trackEvent(type, data = {}) {
+    if (!CONFIG.ANALYTICS_URL) return;
+    const event = {
+      type,
+      at: new Date().toISOString(),
+      sessionId: analyticsSessionId,
+      userId: state.user?.id || null,
+      profileId: state.profile?.id || null,
+      route: state.route.name,
+      ...data,
+    };
+    try {
+      await analyticsWrite((store) => store.add(event));
+    } catch (_) {
+      analyticsMemory.push(event);
+    }
+    analyticsPending++;
+    if (analyticsPending >= ANALYTICS_BATCH_SIZE) flushAnalytics();
+    else scheduleAnalyticsFlush(ANALYTICS_FLUSH_MS);
+  }
 
-      const lastWatched = readLastWatched()
-        .map((x) => state.byId.get(x.titleId))
-        .filter(Boolean);
+  function scheduleAnalyticsFlush(delayMs) {
+    if (analyticsTimer) return;
+    analyticsTimer = setTimeout(() => {
+      analyticsTimer = null;
+      flushAnalytics();
+    }, delayMs);
+  }
 
-      const movies = all.filter(TAB_FILTERS.Movies);
-      const series = all.filter(TAB_FILTERS.Series);
-      const shorts = all.filter(TAB_FILTERS.Shorts);
-      const foreign = all.filter(TAB_FILTERS.Foreign);
+  // Sends queued events in batches until the queue is empty. A failed POST
+  // keeps the batch and retries with exponential backoff plus jitter.
+  async function flushAnalytics({ keepalive = false } = {}) {
+    if (!CONFIG.ANALYTICS_URL || analyticsFlushing || state.offline) return;
+    analyticsFlushing = true;
+    clearTimeout(analyticsTimer);
+    analyticsTimer = null;
+    try {
+      for (;;) {
+        const batch = await peekAnalytics(ANALYTICS_BATCH_SIZE);
+        if (!batch.length) break;
+        const headers = { "Content-Type": "application/json" };
+        if (state.session?.access_token) {
+          headers.Authorization = `Bearer ${state.session.access_token}`;
+        }
+        const res = await fetch(CONFIG.ANALYTICS_URL, {
+          method: "POST",
+          headers,
+          keepalive,
+          body: JSON.stringify({ events: batch.map((b) => b.event) }),
+        });
+        if (!res.ok) throw new Error(`Analytics POST failed (${res.status})`);
+        await dropAnalytics(batch);
+        analyticsRetryMs = 0;
+        if (batch.length < ANALYTICS_BATCH_SIZE) break;
+      }
+      analyticsPending = 0;
+    } catch (err) {
+      console.warn("Analytics flush failed:", err);
+      analyticsRetryMs = Math.min(
+        ANALYTICS_RETRY_MAX_MS,
+        analyticsRetryMs ? analyticsRetryMs * 2 : ANALYTICS_RETRY_MIN_MS
+      );
+      scheduleAnalyticsFlush(analyticsRetryMs * (0.5 + Math.random() / 2));
+    } finally {
+      analyticsFlushing = false;
+    }
+  }
 
-      return `
-        ${HeroRow(heroItems)}
-        <div class="py-6 space-y-2">
-          ${
-            lastWatched.length
-              ? Row("Continue Watching", lastWatched.slice(0, 12))
-              : ""
-          }
-          ${Row("Top Movies & Docs", movies.slice(0, 20), "Movies")}
-          ${Row("Top Series", series.slice(0, 20), "Series")}
-          ${Row("Top Shorts", shorts.slice(0, 20), "Shorts")}
-          ${Row("Top Foreign", foreign.slice(0, 20), "Foreign")}
-        </div>
-      `;
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      flushAnalytics({ keepalive: true });
     }
+  });
 
-    const filtered = all.filter(TAB_FILTERS[state.activeTab] || (() => true));
-    const heroItems = filtered.slice(0, 1);
+  // Wires the standard media events of a player (mux-player re-dispatches
+  // them) into trackEvent; `context` is merged into every event.
+  function instrumentPlayer(el, context) {
+    const send = (type, data = {}) =>
+      trackEvent(type, {
+        ...context,
+        position: Math.floor(el.currentTime || 0),
+        ...data,
+      });
+    const reached = new Set();
+    let bufferingAt = 0;
+    let seekFrom = 0;
 
-    const byGenre = {};
-    filtered.forEach((t) => {
-      (t.genre || ["Featured"]).forEach((g) => {
-        const key = g || "Featured";
-        byGenre[key] = byGenre[key] || [];
-        byGenre[key].push(t);
+    el.addEventListener("play", () => send("play"));
+    el.addEventListener("pause", () => {
+      if (!el.ended) send("pause");
+    });
+    el.addEventListener("timeupdate", () => {
+      if (!el.seeking) seekFrom = el.currentTime || 0;
+      const duration = Number(el.duration);
+      if (!Number.isFinite(duration) || duration <= 0) return;
+      const pct = (el.currentTime / duration) * 100;
+      ANALYTICS_QUARTILES.forEach((q) => {
+        if (pct >= q && !reached.has(q)) {
+          reached.add(q);
+          send("quartile", { quartile: q });
+        }
       });
     });
+    el.addEventListener("seeked", () =>
+      send("seek", { from: Math.floor(seekFrom) })
+    );
+    el.addEventListener("waiting", () => {
+      if (!bufferingAt) bufferingAt = Date.now();
+    });
+    el.addEventListener("playing", () => {
+      if (!bufferingAt) return;
+      send("buffering", { durationMs: Date.now() - bufferingAt });
+      bufferingAt = 0;
+    });
+    el.addEventListener("ended", () => {
+      if (!reached.has(100)) {
+        reached.add(100);
+        send("quartile", { quartile: 100 });
+      }
+    });
+    el.addEventListener("error", () => {
+      const err = el.error;
+      send("error", { code: err?.code || null, message: err?.message || "" });
+    });
+  }
 
-    const genreRows = Object.entries(byGenre)
-      .slice(0, 8)
-      .map(([g, items]) => Row(g, items.slice(0, 20)))
-      .join("");
+  // =========================================================
+  // TVOD ENTITLEMENTS
+  // =========================================================
+  const ENTITLEMENTS_STALE_MS = 60 * 1000;
+  let entitlementsLoadedAt = 0;
+  let pendingCheckoutId = null;
+  let entitlementExpiryTimer = null;
+
+  // GET {TVOD_API_BASE}/entitlements -> [{ titleId, type, expiresAt }]
+  // (or { entitlements: [...] }). Purchases have no expiresAt.
+  async function loadEntitlements() {
+    state.entitlements = new Map();
+    entitlementsLoadedAt = Date.now();
+    if (!state.user || !CONFIG.TVOD_API_BASE) return;
 
-    return `
-      ${HeroRow(heroItems)}
-      <div class="py-6 space-y-6">
-        ${Row(`Top ${state.activeTab}`, filtered.slice(0, 20))}
-        ${genreRows}
-      </div>
-    `;
+    try {
+      const res = await fetch(
+        `${CONFIG.TVOD_API_BASE}/entitlements?userId=${encodeURIComponent(
+          state.user.id
+        )}`,
+        {
+          headers: state.session?.access_token
+            ? { Authorization: `Bearer ${state.session.access_token}` }
+            : {},
+          cache: "no-store",
+        }
+      );
+      if (!res.ok) throw new Error(`Entitlements fetch failed (${res.status})`);
+      const data = await res.json();
+      const list = Array.isArray(data) ? data : data?.entitlements || [];
+
+      list.forEach((e) => {
+        const titleId = e?.titleId || e?.title_id;
+        if (!titleId) return;
+        const expires = e.expiresAt || e.expires_at || null;
+        state.entitlements.set(titleId, {
+          titleId,
+          type: e.type || (expires ? "rental" : "purchase"),
+          expiresAt: expires ? new Date(expires).getTime() : null,
+        });
+      });
+    } catch (err) {
+      console.warn("Could not load TVOD entitlements.", err);
+    }
+  }
+
+  function activeEntitlement(titleId) {
+    const e = state.entitlements.get(titleId);
+    if (!e) return null;
+    if (e.expiresAt && e.expiresAt <= Date.now()) return null;
+    return e;
+  }
+
+  // Episodes of a TVOD series are covered by the series entitlement.
+  function tvodTitleFor(item) {
+    if (!item) return null;
+    const owner = item.__seriesId ? state.byId.get(item.__seriesId) : item;
+    return owner?.monetization?.tvod?.enabled ? owner : null;
+  }
+
+  function formatTimeLeft(ms) {
+    const mins = Math.max(0, Math.floor(ms / 60000));
+    if (mins >= 60) {
+      return tr("cta.hoursLeft", { count: Math.floor(mins / 60) });
+    }
+    return tr("cta.minsLeft", { count: mins });
+  }
+
+  // Re-renders when the current rental runs out so the player is taken away.
+  function scheduleEntitlementExpiry(item) {
+    if (entitlementExpiryTimer) clearTimeout(entitlementExpiryTimer);
+    entitlementExpiryTimer = null;
+
+    const owner = tvodTitleFor(item);
+    const e = owner && activeEntitlement(owner.id);
+    if (!e?.expiresAt) return;
+    entitlementExpiryTimer = setTimeout(() => {
+      entitlementExpiryTimer = null;
+      render();
+    }, Math.min(e.expiresAt - Date.now() + 1000, 2147483647));
   }
 
+  // Checkout happens in another tab; pick up the new rental on return.
+  // Until it shows up every return reloads, however recent the last load.
+  document.addEventListener("visibilitychange", async () => {
+    if (document.visibilityState !== "visible" || !state.user) return;
+    const fresh = Date.now() - entitlementsLoadedAt < ENTITLEMENTS_STALE_MS;
+    if (fresh && !pendingCheckoutId) return;
+    await loadEntitlements();
+    if (activeEntitlement(pendingCheckoutId)) pendingCheckoutId = null;
+    render();
+  });
+
   // =========================================================
-  // GATE PAGE (paywall)
+  // ACCESS POLICY (SVOD / AVOD / TVOD)
   // =========================================================
-  function GatePage() {
+  function subscriptionStatus() {
+    return state.subscription || state.user?.app_metadata?.subscription || null;
+  }
+
+  function isSubscriber() {
+    const sub = subscriptionStatus();
+    if (!sub || !["active", "trialing"].includes(sub.status)) return false;
+    return !sub.expiresAt || new Date(sub.expiresAt).getTime() > Date.now();
+  }
+
+  // Single source of truth for "can this viewer play this, and with ads?".
+  // Returns { canWatch, ads, via, reason, options, entitlement } where
+  // reason is "login" | "locked" | "subscribe" | "purchase" when blocked and
+  // options lists the ways to unlock it.
+  function accessFor(item, kind = "content") {
+    const blocked = (reason, options = []) => ({
+      canWatch: false,
+      ads: false,
+      via: null,
+      reason,
+      options,
+      entitlement: null,
+    });
+    const allowed = (via, ads, entitlement = null) => ({
+      canWatch: true,
+      ads,
+      via,
+      reason: null,
+      options: [],
+      entitlement,
+    });
+
+    if (!item) return blocked("missing");
+    if (!isLoggedIn()) return blocked("login");
+    if (!isAllowed(item)) return blocked("locked");
+    if (kind === "trailer") return allowed("trailer", false);
+
+    const owner = item.__seriesId ? state.byId.get(item.__seriesId) : item;
+    const monet = owner?.monetization || {};
+    const tvodOn = !!monet.tvod?.enabled;
+
+    if (!monet.svod && !monet.avod && !tvodOn) return allowed("free", false);
+
+    const entitlement = tvodOn ? activeEntitlement(owner.id) : null;
+    if (entitlement) return allowed("tvod", false, entitlement);
+    if (monet.svod && isSubscriber()) return allowed("svod", false);
+    if (monet.avod) return allowed("avod", !isSubscriber());
+
+    const options = [];
+    if (monet.svod) options.push("subscribe");
+    if (tvodOn) options.push("purchase");
+    return blocked(options[0] || "subscribe", options);
+  }
+
+  function adTagFor(item) {
+    const owner = item?.__seriesId ? state.byId.get(item.__seriesId) : null;
+    return (
+      item?.vastTag ||
+      item?.vast ||
+      owner?.vastTag ||
+      owner?.vast ||
+      CONFIG.VAST_TAG ||
+      ""
+    );
+  }
+
+  // Members watch the LIVE loop without sponsored breaks.
+  function loopAdsRequired() {
+    return !isSubscriber();
+  }
+
+  function AccessRequiredPage(t, access) {
+    const options = access.options || [];
+    const expired =
+      state.entitlements.has(t.id) && options.includes("purchase");
     return `
-      <div class="min-h-[calc(100vh-64px)] flex flex-col items-center justify-center px-6 text-center bg-watchBlack">
-        <div class="text-2xl md:text-3xl font-black mb-3">WatchVIM Members Only</div>
-        <p class="text-white/70 max-w-md text-sm md:text-base mb-4">
-          Create a free WatchVIM account or become a member to stream all movies, series, shorts, and our LIVE Loop Channel.
+      <div class="min-h-[calc(100vh-64px)] flex flex-col items-center justify-center gap-4 px-6 text-center">
+        <div class="text-2xl font-black">${esc(
+          localized(t, "title") || tr("common.thisTitle")
+        )}</div>
+        <p class="text-white/70 max-w-md text-sm">
+          ${tr(
+            expired
+              ? "access.expired"
+              : options.includes("subscribe")
+              ? "access.members"
+              : "access.purchase"
+          )}
         </p>
-        <div class="flex flex-col sm:flex-row gap-2">
-          <button class="tv-focus px-5 py-2.5 rounded-lg bg-watchRed font-bold hover:opacity-90"
-            onclick="navTo('#/login?mode=signup')">Become a Member</button>
+        <div class="flex gap-2">
+          ${
+            options.includes("subscribe")
+              ? `<button class="tv-focus px-5 py-2.5 rounded-lg bg-watchRed font-bold hover:opacity-90"
+            onclick="navTo('#/plans')">${tr("cta.becomeMember")}</button>`
+              : ""
+          }
+          ${
+            options.includes("purchase")
+              ? `<button class="tv-focus px-5 py-2.5 rounded-lg ${
+                  options.includes("subscribe")
+                    ? "bg-white/10 hover:bg-white/20"
+                    : "bg-watchRed font-bold hover:opacity-90"
+                }"
+            onclick="startTVODCheckout('${esc(t.id)}')">${tr(
+              "cta.rentBuy"
+            )}</button>`
+              : ""
+          }
           <button class="tv-focus px-5 py-2.5 rounded-lg bg-white/10 hover:bg-white/20"
-            onclick="navTo('#/login?mode=login')">Log In</button>
+            onclick="history.back()">${tr("common.goBack")}</button>
         </div>
       </div>
     `;
   }
 
   // =========================================================
-  // LEGAL PAGES (terms, privacy, refund)
+  // MEMBERSHIP PLANS (PayPal subscriptions)
   // =========================================================
-  function LegalPage(slug) {
-    const key = (slug || "").toLowerCase();
-    const titleMap = {
-      terms: "Terms of Use",
-      privacy: "Privacy Policy",
-      refund: "Refund Policy",
+  // Plans: [{ id, name, price, currency, interval, paypalPlanId, features }]
+  function membershipPlans() {
+    const c = state.catalog || {};
+    const plans = c.membershipPlans || c.plans || CONFIG.PLANS || [];
+    return Array.isArray(plans) ? plans.filter((p) => p && p.id) : [];
+  }
+
+  function subscriptionHeaders() {
+    return {
+      "Content-Type": "application/json",
+      ...(state.session?.access_token
+        ? { Authorization: `Bearer ${state.session.access_token}` }
+        : {}),
+    };
+  }
+
+  function normalizeSubscription(data) {
+    const sub = data?.subscription || data;
+    if (!sub || !sub.status) return null;
+    return {
+      id: sub.id || sub.subscriptionId || null,
+      status: sub.status,
+      planId: sub.planId || sub.plan_id || null,
+      planName: sub.planName || null,
+      renewsAt: sub.renewsAt || sub.currentPeriodEnd || null,
+      expiresAt: sub.expiresAt || sub.currentPeriodEnd || null,
+      cancelAtPeriodEnd: !!sub.cancelAtPeriodEnd,
     };
+  }
 
-    const title = titleMap[key];
-    if (!title) return NotFound("Page not found");
+  // GET {SUBSCRIPTIONS_API_BASE}/subscriptions/me
+  async function loadSubscription() {
+    state.subscription = null;
+    if (!state.user || !CONFIG.SUBSCRIPTIONS_API_BASE) return;
+    try {
+      const res = await fetch(
+        `${CONFIG.SUBSCRIPTIONS_API_BASE}/subscriptions/me`,
+        { headers: subscriptionHeaders(), cache: "no-store" }
+      );
+      if (res.status === 404) return;
+      if (!res.ok) throw new Error(`Subscription fetch failed (${res.status})`);
+      state.subscription = normalizeSubscription(await res.json());
+    } catch (err) {
+      console.warn("Could not load subscription status.", err);
+    }
+  }
 
-    const description =
-      key === "terms"
-        ? "These Terms of Use govern your access to and use of the WatchVIM service, including apps, website, and video content."
-        : key === "privacy"
-        ? "This Privacy Policy explains how WatchVIM collects, uses, and protects your information when you use our services."
-        : "This Refund Policy describes when a subscription or transaction on WatchVIM may be eligible for a refund.";
+  function PlansPage() {
+    const plans = membershipPlans();
+    const current = subscriptionStatus();
 
-    return `
-      <div class="p-6 md:p-10 max-w-4xl mx-auto space-y-4">
-        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">← Back</button>
-        <h1 class="text-2xl md:text-3xl font-black">${esc(title)}</h1>
-        <p class="text-sm text-white/70 max-w-2xl">${esc(description)}</p>
+    if (!plans.length) {
+      return `
+        <div class="p-6 md:p-8 space-y-3">
+          <div class="text-2xl font-bold">${tr("membership.title")}</div>
+          <div class="text-white/70">${tr("plans.none")}</div>
+        </div>
+      `;
+    }
 
-        <div class="mt-4 space-y-3 text-sm leading-relaxed text-white/80 text-left">
-          <p>
-            This page is provided for informational purposes. For finalized legal language, please consult your legal counsel and update this copy accordingly.
-          </p>
-          <p>
-            If you are a customer with questions about your account, subscription, or billing history, please contact support at
-            <span class="font-mono">streaming@watchvim.com</span>.
-          </p>
+    return `
+      <div class="p-4 md:p-8 max-w-5xl mx-auto space-y-6">
+        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+        <div>
+          <div class="text-2xl md:text-3xl font-black">${tr(
+            "cta.becomeMember"
+          )}</div>
+          <p class="text-white/70 text-sm">${tr("plans.tagline")}</p>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-${Math.min(plans.length, 3)} gap-4">
+          ${plans
+            .map((plan) => {
+              const active = isSubscriber() && current?.planId === plan.id;
+              return `
+            <div class="rounded-xl bg-white/5 border ${
+              active ? "border-watchGold" : "border-white/10"
+            } p-4 space-y-3">
+              <div class="text-lg font-bold">${esc(
+                plan.name || tr("plans.fallbackName")
+              )}</div>
+              <div class="text-2xl font-black">${esc(
+                formatPrice(plan.price, plan.currency)
+              )}<span class="text-sm font-normal text-white/60"> / ${esc(
+                plan.interval || "month"
+              )}</span></div>
+              <ul class="text-sm text-white/70 space-y-1">
+                ${(plan.features || [])
+                  .map((f) => `<li>• ${esc(f)}</li>`)
+                  .join("")}
+              </ul>
+              ${
+                active
+                  ? `<div class="text-sm text-watchGold font-semibold">${tr(
+                      "plans.current"
+                    )}</div>`
+                  : `<div id="paypalButtons_${esc(plan.id)}" data-plan-id="${esc(
+                      plan.id
+                    )}" data-player-key="plan:${esc(
+                      plan.id
+                    )}" class="min-h-[48px]"></div>`
+              }
+            </div>`;
+            })
+            .join("")}
         </div>
+        <div id="plansMessage" class="text-sm text-white/60"></div>
       </div>
     `;
   }
 
-  // =========================================================
-  // TITLE / SERIES / WATCH / SEARCH / LOGIN / LOOP
-  // =========================================================
-  function TitlePage(id) {
-    const t = state.byId.get(id);
-    if (!t) return NotFound("Title not found");
+  function formatPrice(amount, currency = "USD") {
+    const n = Number(amount);
+    if (!Number.isFinite(n)) return String(amount ?? "");
+    try {
+      return new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+      }).format(n);
+    } catch {
+      return `${n.toFixed(2)} ${currency}`;
+    }
+  }
 
-    const img = hero(t);
-    const monet = t.monetization || {};
-    const tvod = monet.tvod || {};
-    const accessBadge = [
-      monet.svod ? "SVOD" : null,
-      monet.avod ? "AVOD" : null,
-      tvod.enabled ? "TVOD" : null,
-    ]
-      .filter(Boolean)
-      .join(" • ");
+  async function wirePlans() {
+    const slots = Array.from(document.querySelectorAll("[data-plan-id]"));
+    const msg = document.getElementById("plansMessage");
+    if (!slots.length) return;
 
-    return `
-      <section class="relative">
-        <div class="aspect-video bg-black">
-          ${
-            img
-              ? `<img src="${esc(
-                  img
-                )}" class="w-full h-full object-cover opacity-90"/>`
-              : ""
-          }
-          <div class="absolute inset-0 bg-gradient-to-t from-watchBlack via-watchBlack/40 to-transparent"></div>
-        </div>
+    if (!CONFIG.PAYPAL_CLIENT_ID || !CONFIG.SUBSCRIPTIONS_API_BASE) {
+      if (msg) msg.textContent = tr("plans.notConfigured");
+      return;
+    }
 
-        <div class="p-4 md:p-8 -mt-12 md:-mt-20 relative z-10">
-          <div class="max-w-4xl space-y-3">
-            <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">← Back</button>
+    try {
+      await loadScript(
+        `https://www.paypal.com/sdk/js?client-id=${encodeURIComponent(
+          CONFIG.PAYPAL_CLIENT_ID
+        )}&vault=true&intent=subscription`
+      );
+    } catch (err) {
+      if (msg) msg.textContent = tr("plans.paypalLoadFailed");
+      return;
+    }
+    if (!window.paypal?.Buttons) return;
+
+    slots.filter(firstMount).forEach((slot) => {
+      const plan = membershipPlans().find((p) => p.id === slot.dataset.planId);
+      if (!plan?.paypalPlanId) {
+        slot.innerHTML = `<div class="text-xs text-white/50">${tr(
+          "plans.unavailable"
+        )}</div>`;
+        return;
+      }
+      window.paypal
+        .Buttons({
+          style: { layout: "horizontal", label: "subscribe", tagline: false },
+          createSubscription: (_data, actions) =>
+            actions.subscription.create({
+              plan_id: plan.paypalPlanId,
+              custom_id: state.user.id,
+            }),
+          onApprove: (data) => confirmSubscription(plan, data.subscriptionID),
+          onError: (err) => {
+            console.warn("PayPal subscription error.", err);
+            alert(tr("plans.paypalFailed"));
+          },
+        })
+        .render(slot);
+    });
+  }
 
-            <div class="flex flex-wrap gap-2 text-xs text-white/70">
-              <span class="px-2 py-1 rounded bg-white/10">${typeLabel(
-                t.type
-              )}</span>
-              ${
-                t.releaseYear
-                  ? `<span class="px-2 py-1 rounded bg-white/10">${esc(
-                      t.releaseYear
-                    )}</span>`
-                  : ""
-              }
-              ${
-                toMins(t.runtimeMins)
-                  ? `<span class="px-2 py-1 rounded bg-white/10">${toMins(
-                      t.runtimeMins
-                    )} mins</span>`
-                  : ""
-              }
-              ${
-                accessBadge
-                  ? `<span class="px-2 py-1 rounded bg-watchGold/20 text-watchGold">${accessBadge}</span>`
-                  : ""
-              }
-            </div>
+  // POST {SUBSCRIPTIONS_API_BASE}/subscriptions/confirm
+  async function confirmSubscription(plan, subscriptionId) {
+    try {
+      const res = await fetch(
+        `${CONFIG.SUBSCRIPTIONS_API_BASE}/subscriptions/confirm`,
+        {
+          method: "POST",
+          headers: subscriptionHeaders(),
+          body: JSON.stringify({
+            subscriptionId,
+            planId: plan.id,
+            userId: state.user.id,
+          }),
+        }
+      );
+      if (!res.ok) throw new Error(`Confirm failed (${res.status})`);
+      state.subscription = normalizeSubscription(await res.json());
+      initLoopChannels();
+      navTo("#/profile");
+    } catch (err) {
+      console.warn("Subscription confirm failed.", err);
+      alert(tr("plans.pending"));
+    }
+  }
 
-            <h1 class="text-2xl md:text-4xl font-black">${esc(
-              t.title || "Untitled"
-            )}</h1>
-            <p class="text-white/80">${esc(
-              t.synopsis || t.description || ""
-            )}</p>
+  // POST {SUBSCRIPTIONS_API_BASE}/subscriptions/cancel
+  async function cancelSubscription() {
+    const sub = subscriptionStatus();
+    if (!sub || !CONFIG.SUBSCRIPTIONS_API_BASE) return;
+    if (!confirm(tr("membership.confirmCancel"))) return;
+    try {
+      const res = await fetch(
+        `${CONFIG.SUBSCRIPTIONS_API_BASE}/subscriptions/cancel`,
+        {
+          method: "POST",
+          headers: subscriptionHeaders(),
+          body: JSON.stringify({ subscriptionId: sub.id, userId: state.user.id }),
+        }
+      );
+      if (!res.ok) throw new Error(`Cancel failed (${res.status})`);
+      state.subscription = normalizeSubscription(await res.json()) || {
+        ...sub,
+        cancelAtPeriodEnd: true,
+      };
+      render();
+    } catch (err) {
+      console.warn("Subscription cancel failed.", err);
+      alert(tr("membership.cancelFailed"));
+    }
+  }
 
-            ${CreditsBlock(t)}
+  function SubscriptionPanel() {
+    const sub = subscriptionStatus();
+    const active = isSubscriber();
+    const date = (d) =>
+      d ? new Date(d).toLocaleDateString(currentLocale) : "";
+    const planName =
+      sub?.planName ||
+      membershipPlans().find((p) => p.id === sub?.planId)?.name ||
+      tr("membership.title");
 
-            <div class="flex flex-wrap gap-2 pt-2">
-              ${
-                t.trailerPlaybackId
-                  ? `
-                <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20"
-                  onclick="navTo('${isLoggedIn() ? `#/watch/${t.id}?kind=trailer` : "#/login?mode=signup"}')">${
-                      isLoggedIn() ? "Play Trailer" : "Log in to Watch"
-                    }</button>`
-                  : ""
-              }
-              ${renderWatchCTA(t)}
-            </div>
-          </div>
-        </div>
-      </section>
+    return `
+      <div class="bg-white/5 border border-white/10 rounded-xl p-4 space-y-2">
+        <div class="font-semibold">${tr("membership.title")}</div>
+        ${
+          active
+            ? `
+          <div class="text-sm">${esc(planName)} <span class="text-white/60">(${esc(
+                sub.status
+              )})</span></div>
+          <div class="text-xs text-white/60">${
+            sub.cancelAtPeriodEnd
+              ? tr("membership.endsOn", {
+                  date: esc(date(sub.expiresAt || sub.renewsAt)),
+                })
+              : sub.renewsAt
+              ? tr("membership.renewsOn", { date: esc(date(sub.renewsAt)) })
+              : ""
+          }</div>
+          ${
+            sub.cancelAtPeriodEnd
+              ? ""
+              : `<button class="tv-focus px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm"
+            onclick="cancelSubscription()">${tr("membership.cancel")}</button>`
+          }`
+            : `
+          <div class="text-sm text-white/70">${tr("membership.none")}</div>
+          <button class="tv-focus px-3 py-1.5 rounded-lg bg-watchRed font-bold hover:opacity-90 text-sm"
+            onclick="navTo('#/plans')">${tr("membership.seePlans")}</button>`
+        }
+      </div>
     `;
   }
 
-  function renderWatchCTA(t) {
-    const monet = t.monetization || {};
-    const tvod = monet.tvod || {};
-    const loggedIn = isLoggedIn();
+  // =========================================================
+  // TVOD CHECKOUT (PayPal-backed)
+  // =========================================================
+  async function startTVODCheckout(titleId) {
+    const t = state.byId.get(titleId);
+    if (!t) return alert(tr("common.titleNotFound"));
 
-    if (!loggedIn) {
-      if (tvod.enabled) {
-        return `<button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold"
-          onclick="navTo('#/login?mode=login')">Log in to Rent/Buy</button>`;
+    if (!state.user) {
+      navTo(loginHref("login"));
+      return;
+    }
+
+    if (CONFIG.TVOD_CHECKOUT_URL_BASE) {
+      const url = `${CONFIG.TVOD_CHECKOUT_URL_BASE}?titleId=${encodeURIComponent(
+        titleId
+      )}&user=${encodeURIComponent(state.user.id || state.user.email)}`;
+      pendingCheckoutId = titleId;
+      window.open(url, "_blank");
+      return;
+    }
+
+    if (CONFIG.TVOD_API_BASE) {
+      try {
+        const res = await fetch(`${CONFIG.TVOD_API_BASE}/create-order`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            titleId,
+            userId: state.user.id,
+            email: state.user.email,
+          }),
+        });
+        const data = await res.json();
+        if (data?.checkoutUrl) {
+          pendingCheckoutId = titleId;
+          window.open(data.checkoutUrl, "_blank");
+          return;
+        }
+        alert("TVOD order created, but no checkoutUrl returned.");
+      } catch (e) {
+        alert("TVOD backend error. Check TVOD_API_BASE.");
       }
-      return `<button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold"
-        onclick="navTo('#/login?mode=signup')">Log in to Watch</button>`;
+      return;
     }
 
-    if (tvod.enabled && loggedIn) {
-      return `<button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
-        onclick="startTVODCheckout('${t.id}')">Rent / Buy</button>`;
+    if (CONFIG.PAYPAL_CLIENT_ID) {
+      alert(
+        "PayPal is configured, but TVOD checkout endpoints are not. Add TVOD_API_BASE or TVOD_CHECKOUT_URL_BASE."
+      );
+      return;
     }
 
-    return `<button class="tv-focus px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
-      onclick="navTo('#/watch/${t.id}?kind=content')">Watch Now</button>`;
+    alert("TVOD checkout not configured yet.");
   }
 
-  function SeriesPage(id) {
-    const s = state.byId.get(id);
-    if (!s || s.type !== "series") return NotFound("Series not found");
-    const img = hero(s);
+  // =========================================================
+  // VAST 4 (parser + tracker for Loop sponsored ads)
+  // =========================================================
+  const VAST_MAX_WRAPPERS = 5;
+  const VAST_QUARTILES = [
+    ["firstQuartile", 0.25],
+    ["midpoint", 0.5],
+    ["thirdQuartile", 0.75],
+  ];
+  const VAST_TRACKED_EVENTS = [
+    "start",
+    "firstQuartile",
+    "midpoint",
+    "thirdQuartile",
+    "complete",
+    "skip",
+  ];
+
+  function emptyVastTracking() {
+    const tracking = { impression: [], error: [], clickTracking: [] };
+    VAST_TRACKED_EVENTS.forEach((name) => (tracking[name] = []));
+    return tracking;
+  }
 
-    return `
-      <section class="relative">
-        <div class="aspect-video bg-black">
-          ${
-            img
-              ? `<img src="${esc(
-                  img
-                )}" class="w-full h-full object-cover opacity-90"/>`
-              : ""
-          }
-          <div class="absolute inset-0 bg-gradient-to-t from-watchBlack via-watchBlack/40 to-transparent"></div>
-        </div>
+  function mergeVastTracking(a, b) {
+    const out = emptyVastTracking();
+    Object.keys(out).forEach((k) => {
+      out[k] = [...(a[k] || []), ...(b[k] || [])];
+    });
+    return out;
+  }
 
-        <div class="p-4 md:p-8 -mt-12 md:-mt-20 relative z-10">
-          <div class="max-w-5xl space-y-3">
-            <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">← Back</button>
-            <div class="text-xs uppercase tracking-widest text-watchGold/90">Series</div>
-            <h1 class="text-2xl md:text-4xl font-black">${esc(
-              s.title || "Untitled"
-            )}</h1>
-            <p class="text-white/80">${esc(
-              s.synopsis || s.description || ""
-            )}</p>
+  function vastTags(el, name) {
+    return el ? Array.from(el.getElementsByTagName(name)) : [];
+  }
 
-            ${CreditsBlock(s)}
+  function vastText(el) {
+    return (el?.textContent || "").trim();
+  }
 
-            <div class="pt-6 space-y-5">
-              ${
-                (s.seasons || [])
-                  .map((season, si) => SeasonBlock(s, season, si))
-                  .join("") ||
-                `<div class="text-white/60 text-sm">No seasons published yet.</div>`
-              }
-            </div>
-          </div>
-        </div>
-      </section>
-    `;
+  function vastUrls(el, name) {
+    return vastTags(el, name).map(vastText).filter(Boolean);
   }
 
-  function SeasonBlock(series, season, seasonIndex) {
-    const episodes = season.episodes || [];
-    return `
-      <div class="space-y-2">
-        <div class="flex items-center justify-between">
-          <h2 class="text-lg font-bold">Season ${
-            season.seasonNumber || seasonIndex + 1
-          }</h2>
-          <div class="text-xs text-white/60">${episodes.length} episodes</div>
-        </div>
-        <div class="space-y-2">
-          ${episodes
-            .map((ep, ei) => EpisodeRow(series, ep, seasonIndex, ei))
-            .join("")}
-        </div>
-      </div>
-    `;
+  function parseVastDuration(value) {
+    const m = String(value || "")
+      .trim()
+      .match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+    if (!m) return 0;
+    return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
   }
 
-  function EpisodeRow(series, ep, seasonIndex, epIndex) {
-    const img = ep.thumbnailUrl || series.posterUrl || "";
-    const loggedIn = isLoggedIn();
-    const watchHref = loggedIn
-      ? `#/episode/${series.id}/${seasonIndex}/${epIndex}?kind=content`
-      : "#/login?mode=signup";
-    const trailerHref = loggedIn
-      ? `#/episode/${series.id}/${seasonIndex}/${epIndex}?kind=trailer`
-      : "#/login?mode=signup";
+  // skipoffset is either "HH:MM:SS(.mmm)" or a percentage of the duration.
+  function parseVastOffset(value, durationSec) {
+    const v = String(value || "").trim();
+    if (!v) return null;
+    if (v.endsWith("%")) return (durationSec * parseFloat(v)) / 100;
+    return parseVastDuration(v);
+  }
 
-    return `
-      <div class="flex gap-3 p-2 rounded-lg bg-white/5 border border-white/10">
-        <img src="${esc(
-          img
-        )}" class="w-20 h-28 object-cover rounded-md bg-black/40"/>
-        <div class="flex-1 space-y-1">
-          <div class="text-sm font-semibold">
-            E${ep.episodeNumber || epIndex + 1} — ${esc(ep.title || "Untitled")}
-          </div>
-          <div class="text-xs text-white/60 line-clamp-2">${esc(
-            ep.synopsis || ep.description || ""
-          )}</div>
+  function collectVastTracking(adEl) {
+    const tracking = emptyVastTracking();
+    tracking.impression = vastUrls(adEl, "Impression");
+    tracking.error = vastUrls(adEl, "Error");
+    tracking.clickTracking = vastUrls(adEl, "ClickTracking");
+    vastTags(adEl, "Tracking").forEach((el) => {
+      const event = el.getAttribute("event");
+      const url = vastText(el);
+      if (url && tracking[event]) tracking[event].push(url);
+    });
+    return tracking;
+  }
 
-          <div class="flex gap-2 pt-1">
-            ${
-              ep.trailerPlaybackId
-                ? `
-              <button class="tv-focus px-3 py-1.5 text-xs rounded bg-white/10 hover:bg-white/20"
-                onclick="navTo('${trailerHref}')">${
-                    loggedIn ? "Trailer" : "Log in"
-                  }</button>`
-                : ""
-            }
-            <button class="tv-focus px-3 py-1.5 text-xs rounded bg-watchRed font-bold"
-              onclick="navTo('${watchHref}')">${
-      loggedIn ? "Watch" : "Log in to Watch"
-    }</button>
-          </div>
-        </div>
-      </div>
-    `;
+  function parseVastMediaFiles(linearEl) {
+    return vastTags(linearEl, "MediaFile")
+      .map((el) => ({
+        url: vastText(el),
+        type: el.getAttribute("type") || "",
+        delivery: el.getAttribute("delivery") || "progressive",
+        apiFramework: el.getAttribute("apiFramework") || "",
+        width: Number(el.getAttribute("width")) || 0,
+        height: Number(el.getAttribute("height")) || 0,
+        bitrate: Number(el.getAttribute("bitrate")) || 0,
+      }))
+      .filter((f) => f.url && !f.apiFramework);
   }
 
-  function WatchPage(id, kind = "content") {
-    if (!isLoggedIn()) return GatePage();
+  // Prefer progressive files the browser can play, closest to the player
+  // width; ties go to the higher bitrate.
+  function pickVastMediaFile(files, targetWidth = window.innerWidth || 1280) {
+    const probe = document.createElement("video");
+    const playable = files.filter(
+      (f) => !f.type || probe.canPlayType(f.type) !== ""
+    );
+    const progressive = playable.filter((f) => f.delivery !== "streaming");
+    const pool = progressive.length ? progressive : playable;
+    return (
+      pool.slice().sort((a, b) => {
+        const da = Math.abs((a.width || targetWidth) - targetWidth);
+        const db = Math.abs((b.width || targetWidth) - targetWidth);
+        return da - db || b.bitrate - a.bitrate;
+      })[0] || null
+    );
+  }
 
-    const t = state.byId.get(id);
-    if (!t) return NotFound("Title not found");
+  // Parses one VAST document. Returns either { wrapperUrl, tracking } or the
+  // inline creative, with tracking from this document only.
+  function parseVast(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, "text/xml");
+    if (doc.getElementsByTagName("parsererror").length) {
+      throw new Error("VAST response is not valid XML");
+    }
 
-    const pb = muxIdFor(t, kind);
-    if (!pb) return NotFound(`No ${kind} playback ID set.`);
-    return `
-      <div class="p-4 md:p-8 space-y-4">
-        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">← Back</button>
-        <div class="text-xl font-bold">${esc(t.title)}</div>
-        ${CreditsBlock(t)}
-        <div id="playerWrap" class="relative aspect-video bg-black rounded-xl overflow-hidden border border-white/10"></div>
-      </div>
-    `;
-  }
+    const adEl = vastTags(doc, "Ad").find(
+      (el) => vastTags(el, "InLine").length || vastTags(el, "Wrapper").length
+    );
+    if (!adEl) throw new Error("VAST response has no ads");
+
+    const tracking = collectVastTracking(adEl);
+    const wrapperEl = vastTags(adEl, "Wrapper")[0];
+    if (wrapperEl) {
+      const wrapperUrl = vastText(vastTags(wrapperEl, "VASTAdTagURI")[0]);
+      if (!wrapperUrl) throw new Error("VAST wrapper has no VASTAdTagURI");
+      return { wrapperUrl, tracking };
+    }
 
-  function EpisodeWatchPage(seriesId, seasonIndex, epIndex, kind = "content") {
-    if (!isLoggedIn()) return GatePage();
+    const linearEl = vastTags(adEl, "Linear")[0];
+    if (!linearEl) throw new Error("VAST ad has no linear creative");
+    const durationSec = parseVastDuration(
+      vastText(vastTags(linearEl, "Duration")[0])
+    );
 
-    const s = state.byId.get(seriesId);
-    const season = s?.seasons?.[Number(seasonIndex)];
-    const ep = season?.episodes?.[Number(epIndex)];
-    if (!s || !ep) return NotFound("Episode not found");
+    return {
+      title: vastText(vastTags(adEl, "AdTitle")[0]),
+      durationSec,
+      skipOffset: parseVastOffset(
+        linearEl.getAttribute("skipoffset"),
+        durationSec
+      ),
+      clickThrough: vastText(vastTags(linearEl, "ClickThrough")[0]),
+      mediaFiles: parseVastMediaFiles(linearEl),
+      tracking,
+    };
+  }
 
-    const pb = muxIdFor(ep, kind);
-    if (!pb) return NotFound(`No ${kind} playback ID set for this episode.`);
+  // Follows the wrapper chain, accumulating each wrapper's pixels so they
+  // fire alongside the inline ad's. Diagnostics pass quiet, so checking the
+  // fixtures never reports to an ad server, and a fixed width so the media
+  // pick doesn't depend on the window.
+  async function loadVast(url, opts = {}) {
+    const { depth = 0, inherited = emptyVastTracking(), quiet, width } = opts;
+    if (depth > VAST_MAX_WRAPPERS) throw new Error("Too many VAST wrappers");
+
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(`VAST request failed (${res.status})`);
+    const parsed = parseVast(await res.text());
+    const tracking = mergeVastTracking(inherited, parsed.tracking);
+
+    if (parsed.wrapperUrl) {
+      const next = new URL(parsed.wrapperUrl, new URL(url, location.href)).href;
+      return loadVast(next, { ...opts, depth: depth + 1, inherited: tracking });
+    }
 
-    return `
-      <div class="p-4 md:p-8 space-y-4">
-        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">← Back</button>
-        <div class="text-xl font-bold">
-          ${esc(s.title)} — S${season.seasonNumber || Number(seasonIndex) + 1}E${
-      ep.episodeNumber || Number(epIndex) + 1
+    const media = pickVastMediaFile(parsed.mediaFiles, width);
+    if (!media) {
+      if (!quiet) fireVastPixels(tracking.error, { ERRORCODE: 403 });
+      throw new Error("VAST ad has no playable media file");
     }
-        </div>
-        ${CreditsBlock(ep)}
-        <div id="playerWrap" class="relative aspect-video bg-black rounded-xl overflow-hidden border border-white/10"></div>
-      </div>
-    `;
+    return { ...parsed, media, tracking };
   }
 
-  function SearchPage() {
-    return `
-      <div class="p-4 md:p-8 space-y-4">
-        <div class="text-2xl font-bold">Search</div>
-        <input id="searchInput" class="w-full px-4 py-3 rounded-xl bg-white/10 outline-none"
-          placeholder="Search titles..." />
-        <div id="searchResults" class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-3 mt-2"></div>
-      </div>
-    `;
+  function fireVastPixels(urls, macros = {}) {
+    const values = {
+      CACHEBUSTING: String(Math.floor(Math.random() * 1e8)).padStart(8, "0"),
+      TIMESTAMP: new Date().toISOString(),
+      ...macros,
+    };
+    (urls || []).forEach((url) => {
+      const src = url.replace(/\[([A-Z_]+)\]/g, (whole, name) =>
+        name in values ? encodeURIComponent(values[name]) : whole
+      );
+      new Image().src = src;
+    });
   }
 
-  function wireSearch() {
-    const input = document.getElementById("searchInput");
-    const results = document.getElementById("searchResults");
-    if (!input || !results) return;
+  async function resolveVastAd(ad) {
+    try {
+      const vast = await loadVast(ad.vastUrl);
+      return {
+        ...ad,
+        label: ad.label || vast.title || "Sponsored",
+        durationSec: vast.durationSec || ad.durationSec,
+        mediaUrl: vast.media.url,
+        clickUrl: vast.clickThrough || ad.clickUrl,
+        vast,
+      };
+    } catch (err) {
+      console.warn("VAST ad failed:", err);
+      return null;
+    }
+  }
 
-    const all = state.titles.slice();
-    const show = (q) => {
-      const f = all.filter((t) =>
-        (t.title || "").toLowerCase().includes(q.toLowerCase())
-      );
-      results.innerHTML = f
-        .map(
-          (t) => `
-        <button class="tv-focus text-left group" onclick="navTo('${
-          isLoggedIn()
-            ? `#/${t.type === "series" ? "series" : "title"}/${t.id}`
-            : "#/login?mode=signup"
-        }')">
-          <div class="rounded-xl overflow-hidden bg-white/5 border border-white/10">
-            <div class="aspect-[2/3]">
-              <img src="${esc(
-                poster(t) || hero(t)
-              )}" class="w-full h-full object-cover"/>
-            </div>
-          </div>
-          <div class="mt-2 text-sm line-clamp-1">${esc(
-            t.title || "Untitled"
-          )}</div>
-        </button>
-      `
-        )
-        .join("");
-      if (isTV()) tvFocusReset();
+  function attachVastTracker(el, vast) {
+    const fired = new Set();
+    const fire = (event, urls = vast.tracking[event]) => {
+      if (fired.has(event)) return;
+      fired.add(event);
+      fireVastPixels(urls);
     };
-    input.addEventListener("input", (e) => show(e.target.value));
-    show("");
-  }
 
-  let loginView = "login";
-  function setLoginView(view) {
-    loginView = view === "signup" ? "signup" : "login";
-    navTo(`#/login?mode=${loginView}`);
+    el.addEventListener("playing", () => {
+      fire("impression");
+      fire("start");
+    });
+    el.addEventListener("timeupdate", () => {
+      const duration = el.duration || vast.durationSec;
+      if (!duration) return;
+      const ratio = el.currentTime / duration;
+      VAST_QUARTILES.forEach(([event, at]) => {
+        if (ratio >= at) fire(event);
+      });
+    });
+    el.addEventListener("ended", () => fire("complete"));
+    el.addEventListener("error", () => {
+      if (fired.has("error")) return;
+      fired.add("error");
+      fireVastPixels(vast.tracking.error, { ERRORCODE: 405 });
+    });
+
+    return {
+      click: () => fireVastPixels(vast.tracking.clickTracking),
+      skip: () => {
+        if (!fired.has("complete")) fire("skip");
+      },
+    };
   }
 
-  function LoginPage() {
-    if (!supabase) {
-      return `
-        <div class="p-6 max-w-md mx-auto space-y-3">
-          <div class="text-2xl font-bold">Login</div>
-          <div class="text-white/70 text-sm">
-            Supabase isn’t configured yet. Add SUPABASE_URL and SUPABASE_ANON_KEY to /config.json.
-          </div>
-        </div>
-      `;
+  // Local samples under fixtures/vast/, run through loadVast from
+  // #/diagnostics at a 1280px width. "expect" names the diag.vast.expect.*
+  // string describing each; "want" is what a working parser must return,
+  // down to the pixel counts, or the error it must stop with. A dev catalog
+  // can also play one in a loop channel through sponsoredAds:
+  // { "vastUrl": "./fixtures/vast/wrapper.xml" }.
+  const VAST_FIXTURE_WIDTH = 1280;
+  const VAST_FIXTURE_MEDIA =
+    "https://storage.googleapis.com/gvabox/media/samples/stock.mp4?w=1280";
+  const VAST_FIXTURES = [
+    {
+      file: "inline.xml",
+      expect: "inline",
+      want: {
+        media: VAST_FIXTURE_MEDIA,
+        durationSec: 15,
+        skipOffset: 5,
+        pixels: { impression: 1, error: 1, start: 1, complete: 1, skip: 1 },
+      },
+    },
+    {
+      file: "wrapper.xml",
+      expect: "wrapper",
+      want: {
+        media: VAST_FIXTURE_MEDIA,
+        durationSec: 15,
+        skipOffset: 5,
+        pixels: { impression: 2, error: 2, start: 2, clickTracking: 2 },
+      },
+    },
+    {
+      file: "wrapper-chain.xml",
+      expect: "wrapperChain",
+      want: {
+        media: VAST_FIXTURE_MEDIA,
+        durationSec: 15,
+        skipOffset: 5,
+        pixels: { impression: 3, error: 2, midpoint: 2, complete: 2 },
+      },
+    },
+    {
+      file: "wrapper-loop.xml",
+      expect: "wrapperLoop",
+      want: { error: "Too many VAST wrappers" },
+    },
+    {
+      file: "no-media.xml",
+      expect: "noMedia",
+      want: { error: "VAST ad has no playable media file" },
+    },
+    {
+      file: "no-ads.xml",
+      expect: "noAds",
+      want: { error: "VAST response has no ads" },
+    },
+  ];
+  let vastFixtureResults = null;
+
+  // Lists every way a result differs from the fixture's "want"; empty means
+  // the fixture passed.
+  function vastFixtureMismatches({ want, vast, error }) {
+    if (want.error || error) {
+      return error === want.error
+        ? []
+        : [`error: ${error || "none"} ≠ ${want.error || "none"}`];
     }
+    const got = {
+      media: vast.media.url,
+      durationSec: vast.durationSec,
+      skipOffset: vast.skipOffset,
+    };
+    Object.entries(want.pixels).forEach(([k, n]) => {
+      got[`${k} pixels`] = vast.tracking[k].length;
+      want = { ...want, [`${k} pixels`]: n };
+    });
+    return Object.keys(got)
+      .filter((k) => got[k] !== want[k])
+      .map((k) => `${k}: ${got[k]} ≠ ${want[k]}`);
+  }
 
-    const isLogin = loginView === "login";
-    return `
-      <div class="p-6 max-w-md mx-auto space-y-5">
-        <div class="text-2xl font-black">Welcome to WatchVIM</div>
+  async function checkVastFixtures() {
+    vastFixtureResults = await Promise.all(
+      VAST_FIXTURES.map(async (fixture) => {
+        let result;
+        try {
+          const vast = await loadVast(`./fixtures/vast/${fixture.file}`, {
+            quiet: true,
+            width: VAST_FIXTURE_WIDTH,
+          });
+          result = { ...fixture, vast };
+        } catch (err) {
+          result = { ...fixture, error: err?.message || String(err) };
+        }
+        return { ...result, mismatches: vastFixtureMismatches(result) };
+      })
+    );
+    render();
+  }
 
-        <p class="text-xs text-white/60">
-          Stream original films, series, shorts, and our LIVE Loop Channel. Create a free account to unlock the full catalog.
-        </p>
+  function vastFixtureSummary({ media, durationSec, skipOffset, tracking }) {
+    const pixels = ["impression", "start", "complete", "clickTracking"]
+      .map((k) => `${k} ${tracking[k].length}`)
+      .join(" · ");
+    return `${media.width}×${media.height} ${media.type} · ${durationSec}s${
+      skipOffset === null
+        ? ""
+        : `, ${tr("diag.vast.skip", { seconds: skipOffset })}`
+    } · ${pixels}`;
+  }
 
-        <div class="flex rounded-xl bg-white/5 border border-white/10 p-1 text-sm">
-          <button class="tv-focus flex-1 py-2 rounded-lg ${
-            isLogin ? "bg-white/15" : "hover:bg-white/10 text-white/70"
-          }"
-            onclick="setLoginView('login')">Log In</button>
-          <button class="tv-focus flex-1 py-2 rounded-lg ${
-            !isLogin ? "bg-white/15" : "hover:bg-white/10 text-white/70"
-          }"
-            onclick="setLoginView('signup')">Become a Member</button>
+  function VastFixturesPanel() {
+    return `
+      <div class="space-y-2">
+        <div class="flex items-center justify-between gap-2">
+          <div class="text-lg font-bold">${tr("diag.vast.title")}</div>
+          <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm"
+            onclick="checkVastFixtures()">${tr("diag.vast.run")}</button>
         </div>
-
         ${
-          !isLogin
+          vastFixtureResults
             ? `
-          <div class="space-y-2">
-            <div class="text-xs text-white/60">Full Name</div>
-            <input id="signupName" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="Your name"/>
-          </div>`
+        <div class="rounded-xl border border-white/10 overflow-hidden text-sm">
+          ${vastFixtureResults
+            .map(
+              (r) => `
+            <div class="grid grid-cols-1 md:grid-cols-[160px_260px_1fr] gap-2 px-3 py-2 border-b border-white/5">
+              <div class="font-mono text-xs text-white/70">${esc(r.file)}</div>
+              <div class="text-xs text-white/60">${tr(
+                `diag.vast.expect.${r.expect}`
+              )}</div>
+              <div>
+                <span class="${
+                  r.mismatches.length ? "text-watchRed" : "text-white/70"
+                } font-semibold uppercase text-xs">${tr(
+                r.mismatches.length ? "diag.vast.fail" : "diag.vast.pass"
+              )}</span>
+                <span class="${r.error ? "text-watchGold" : ""}">${esc(
+                r.error || vastFixtureSummary(r.vast)
+              )}</span>
+                ${r.mismatches
+                  .map(
+                    (m) =>
+                      `<div class="font-mono text-xs text-watchRed">${esc(
+                        m
+                      )}</div>`
+                  )
+                  .join("")}
+              </div>
+            </div>
+          `
+            )
+            .join("")}
+        </div>`
             : ""
         }
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // LIVE EVENTS (Upcoming → Live now → Replay)
+  // =========================================================
+  const LIVE_STATE_ORDER = ["live", "upcoming", "replay", "ended"];
+  const liveEndedIds = new Set();
+  let liveCountdownTimer = null;
+
+  function isLiveEvent(t) {
+    return !!t?.livePlaybackId;
+  }
+
+  function replayPlaybackId(t) {
+    return t.replayPlaybackId || t.contentPlaybackId || "";
+  }
 
-        <div class="space-y-2">
-          <div class="text-xs text-white/60">Email</div>
-          <input id="loginEmail" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="you@email.com"/>
-        </div>
+  // liveStatus from the CMS wins over the clock, so an event that starts
+  // late or overruns can be held "upcoming" or kept "live" by hand.
+  function liveState(t, now = Date.now()) {
+    const startsAt = Date.parse(t.liveStartsAt || "") || 0;
+    const endsAt = Date.parse(t.liveEndsAt || "") || 0;
+    const ended =
+      liveEndedIds.has(t.id) ||
+      t.liveStatus === "ended" ||
+      (t.liveStatus !== "live" && endsAt && now >= endsAt);
+
+    if (ended) return replayPlaybackId(t) ? "replay" : "ended";
+    if (t.liveStatus === "live") return "live";
+    if (t.liveStatus === "upcoming" || (startsAt && now < startsAt)) {
+      return "upcoming";
+    }
+    return "live";
+  }
 
-        <div class="space-y-2">
-          <div class="text-xs text-white/60">Password</div>
-          <input id="loginPass" type="password" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="••••••••"/>
-        </div>
+  function liveEvents() {
+    const startOf = (t) => Date.parse(t.liveStartsAt || "") || 0;
+    return state.titles
+      .filter((t) => isLiveEvent(t) && isAllowed(t))
+      .map((t) => ({ t, live: liveState(t) }))
+      .filter(({ live }) => live !== "ended")
+      .sort(
+        (a, b) =>
+          LIVE_STATE_ORDER.indexOf(a.live) - LIVE_STATE_ORDER.indexOf(b.live) ||
+          startOf(a.t) - startOf(b.t)
+      )
+      .map(({ t }) => t);
+  }
 
-        ${
-          !isLogin
-            ? `
-          <div class="space-y-2">
-            <div class="text-xs text-white/60">Confirm Password</div>
-            <input id="signupPass2" type="password" class="w-full px-3 py-2 rounded bg-white/5 border border-white/10" placeholder="••••••••"/>
-          </div>`
-            : ""
-        }
+  function formatEventTime(ms) {
+    return new Date(ms).toLocaleString(currentLocale, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
 
-        <button class="tv-focus w-full px-4 py-2 rounded-lg bg-watchRed font-bold hover:opacity-90"
-          onclick="${isLogin ? "handleSignIn()" : "handleSignUp()"}">
-          ${isLogin ? "Log In" : "Create Account"}
-        </button>
+  function formatCountdown(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(total / 86400);
+    const pad = (n) => String(n).padStart(2, "0");
+    const clock = `${pad(Math.floor((total % 86400) / 3600))}:${pad(
+      Math.floor((total % 3600) / 60)
+    )}:${pad(total % 60)}`;
+    return days ? tr("live.countdownDays", { days, clock }) : clock;
+  }
 
-        <div class="text-[11px] text-white/50">
-          By creating an account you agree to WatchVIM’s Terms of Use and Privacy Policy.
-        </div>
-      </div>
-    `;
+  function LiveBadge(t) {
+    const live = liveState(t);
+    if (live === "live") {
+      return `<span class="px-2 py-1 rounded bg-watchRed text-white text-xs font-bold">${tr(
+        "live.badge.live"
+      )}</span>`;
+    }
+    if (live === "upcoming") {
+      const startsAt = Date.parse(t.liveStartsAt || "");
+      return `<span class="px-2 py-1 rounded bg-black/70 text-watchGold text-xs">${
+        startsAt ? esc(formatEventTime(startsAt)) : tr("live.badge.upcoming")
+      }</span>`;
+    }
+    return `<span class="px-2 py-1 rounded bg-black/70 text-white/80 text-xs">${
+      tr(live === "replay" ? "live.badge.replay" : "live.badge.ended")
+    }</span>`;
   }
 
-  function ProfilePage() {
-    if (!supabase) return NotFound("Auth not configured.");
-    if (!state.user) return NotFound("You’re not logged in.");
+  // Shown in place of the player before the event starts, and after it ends
+  // when no replay has been published yet.
+  function LiveHoldPage(t, live) {
+    const img = hero(t);
+    const startsAt = Date.parse(t.liveStartsAt || "") || 0;
+    const when = startsAt
+      ? tr("live.startsAt", { time: esc(formatEventTime(startsAt)) })
+      : tr("live.startingSoon");
     return `
-      <div class="p-6 max-w-3xl mx-auto space-y-4">
-        <div class="text-2xl font-bold">Your Profile</div>
-        <div class="bg-white/5 border border-white/10 rounded-xl p-4 space-y-2">
-          <div>
-            <div class="text-sm text-white/60">Email</div>
-            <div class="font-semibold">${esc(state.user.email)}</div>
+      <div class="p-4 md:p-8 space-y-4">
+        <button class="tv-focus text-xs text-white/70 hover:text-white" onclick="history.back()">${tr("nav.back")}</button>
+        <div class="flex items-center gap-3">
+          <div class="text-xl font-bold">${esc(localized(t, "title"))}</div>
+          ${LiveBadge(t)}
+        </div>
+        <div class="relative aspect-video bg-black rounded-xl overflow-hidden border border-white/10 flex items-center justify-center">
+          ${ArtImage({
+            src: img,
+            srcset: artSrcset(t, "Hero"),
+            sizes: HERO_SIZES,
+            cls: "absolute inset-0 w-full h-full object-cover opacity-30",
+            eager: true,
+          })}
+          <div class="relative text-center space-y-2 p-6">
+            ${
+              live === "upcoming"
+                ? `
+              <div class="text-xs uppercase tracking-widest text-watchGold/90">
+                ${when}
+              </div>
+              ${
+                startsAt > Date.now()
+                  ? `<div id="liveCountdown" class="text-4xl md:text-6xl font-black tabular-nums">${formatCountdown(
+                      startsAt - Date.now()
+                    )}</div>`
+                  : ""
+              }
+            `
+                : `
+              <div class="text-lg font-semibold">${tr("live.endedTitle")}</div>
+              <div class="text-sm text-white/70">${tr("live.replaySoon")}</div>
+            `
+            }
           </div>
         </div>
       </div>
     `;
   }
 
-  function NotFound(msg = "Not found") {
-    return `
-      <div class="p-6 text-center space-y-2">
-        <div class="text-xl font-bold">${esc(msg)}</div>
-        <button class="tv-focus px-4 py-2 rounded bg-white/10 hover:bg-white/20" onclick="setTab('Home')">Go Home</button>
-      </div>
-    `;
-  }
-
-  function renderLoading() {
-    app.innerHTML = `
-      <div class="min-h-screen flex flex-col items-center justify-center gap-4 bg-watchBlack">
-        <div class="animate-pulse w-16 h-16 rounded-2xl bg-white/10"></div>
-        <div class="text-white/70 text-sm">Loading WatchVIM…</div>
-      </div>
-    `;
+  function startLiveCountdown(t) {
+    clearInterval(liveCountdownTimer);
+    liveCountdownTimer = null;
+    const startsAt = Date.parse(t.liveStartsAt || "") || 0;
+    if (startsAt <= Date.now()) return;
+    liveCountdownTimer = setInterval(() => {
+      const left = startsAt - Date.now();
+      if (left <= 0) {
+        clearInterval(liveCountdownTimer);
+        liveCountdownTimer = null;
+        return render();
+      }
+      const el = document.getElementById("liveCountdown");
+      if (el) el.textContent = formatCountdown(left);
+    }, 1000);
   }
 
-  function renderError(err) {
-    app.innerHTML = `
-      <div class="min-h-screen flex flex-col items-center justify-center gap-4 p-6 text-center bg-watchBlack">
-        <div class="text-2xl font-bold text-watchRed">Couldn’t load WatchVIM</div>
-        <div class="text-white/70 max-w-xl">${esc(err?.message || err)}</div>
-        <button class="tv-focus px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20" onclick="location.reload()">Retry</button>
-      </div>
-    `;
+  // The Mux live player fires "ended" once the stream is closed; from then
+  // on the title plays its replay.
+  function endLiveEvent(t) {
+    liveEndedIds.add(t.id);
+    render();
   }
 
   // =========================================================
-  // PLAYER MOUNT + VAST
+  // LOOP (LIVE)
   // =========================================================
-  function mountPlayer({ playbackId, vastTag, directUrl }) {
-    const wrap = document.getElementById("playerWrap");
-    if (!wrap) return;
+  // Each LIVE channel is a linear schedule: every client derives the same
+  // order from the published seed and joins at the wall-clock offset.
+  const LOOP_DEFAULT_ITEM_SECS = 30 * 60;
+  const LOOP_OVERLAY_MS = 5000;
+  let loopSlotTimer = null;
+  let loopOverlayTimer = null;
+
+  function hashSeed(value) {
+    let h = 0x811c9dc5;
+    const str = String(value);
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
 
-    wrap.innerHTML = playbackId
-      ? `
-      <mux-player
-        id="muxPlayer"
-        class="w-full h-full"
-        stream-type="on-demand"
-        playback-id="${esc(playbackId)}"
-        metadata-video-title="WatchVIM"
-        controls autoplay playsinline
-      ></mux-player>
-    `
-      : `
-      <video id="html5Player" class="w-full h-full" controls autoplay playsinline>
-        <source src="${esc(directUrl || "")}" type="video/mp4" />
-      </video>
-    `;
+  function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
 
-    if (vastTag) runVastPreroll(vastTag);
+  function seededShuffle(arr, seed) {
+    const rand = seededRandom(seed);
+    const a = arr.slice();
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
   }
 
-  function runVastPreroll(vastTag) {
-    if (!window.google?.ima) return;
-    const wrap = document.getElementById("playerWrap");
-    if (!wrap) return;
+  // loopChannels[] wins; a lone legacy loopChannel becomes channel 1.
+  function loopChannelConfigs(catalog = state.catalog) {
+    if (Array.isArray(catalog?.loopChannels) && catalog.loopChannels.length) {
+      return catalog.loopChannels.filter(Boolean);
+    }
+    return catalog?.loopChannel ? [catalog.loopChannel] : [];
+  }
 
-    const adDiv = document.createElement("div");
-    adDiv.id = "adContainer";
-    adDiv.className = "absolute inset-0 z-10";
-    wrap.appendChild(adDiv);
+  function buildLoopChannel(config, i) {
+    const id = String(config.id || config.slug || `ch${i + 1}`);
+    const queue = (config.rotationItems || [])
+      .map((it) => resolveLoopItem(it))
+      .filter((it) => it?.playbackId);
+    return {
+      id,
+      number: i + 1,
+      name: config.name || config.title || `Channel ${i + 1}`,
+      logoUrl: config.logoUrl || "",
+      config,
+      queue,
+      shuffle: !!config.shuffle,
+      seed: hashSeed(config.scheduleSeed ?? id),
+      epochMs: Date.parse(config.scheduleEpoch || "") || 0,
+      cycleMs: queue.reduce((sum, it) => sum + it.durationSec * 1000, 0),
+      orders: new Map(),
+    };
+  }
 
-    function findVideoEl() {
-      const mux = document.querySelector("#muxPlayer");
-      const vid = mux?.shadowRoot?.querySelector("video");
-      return vid || document.getElementById("html5Player");
+  function initLoopChannels() {
+    state.loop.channels = loopChannelConfigs()
+      .map((config, i) => buildLoopChannel(config, i))
+      .filter((ch) => ch.queue.length);
+    if (!state.loop.channels.some((ch) => ch.id === state.loop.channelId)) {
+      state.loop.channelId = state.loop.channels[0]?.id || null;
     }
+    syncLoop();
+  }
 
-    let tries = 0;
-    const tryInit = () => {
-      tries++;
-      const videoEl = findVideoEl();
-      if (!videoEl) {
-        if (tries < 8) return setTimeout(tryInit, 250);
-        return;
-      }
-
-      try {
-        const adDisplayContainer = new google.ima.AdDisplayContainer(
-          adDiv,
-          videoEl
-        );
-        const adsLoader = new google.ima.AdsLoader(adDisplayContainer);
-
-        adsLoader.addEventListener(
-          google.ima.AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED,
-          (e) => {
-            const adsManager = e.getAdsManager(videoEl);
-            adsManager.init(
-              videoEl.clientWidth,
-              videoEl.clientHeight,
-              google.ima.ViewMode.NORMAL
-            );
-            adsManager.start();
-          },
-          false
-        );
+  function activeLoopChannel() {
+    const { channels, channelId } = state.loop;
+    return channels.find((ch) => ch.id === channelId) || channels[0] || null;
+  }
 
-        const adsRequest = new google.ima.AdsRequest();
-        adsRequest.adTagUrl = vastTag;
-        adsRequest.linearAdSlotWidth = videoEl.clientWidth;
-        adsRequest.linearAdSlotHeight = videoEl.clientHeight;
+  // Each pass through the rotation is a "cycle" with its own shuffle, so
+  // the order still varies over time without clients drifting apart.
+  function loopOrder(ch, cycle) {
+    if (!ch.shuffle) return ch.queue;
+    if (!ch.orders.has(cycle)) {
+      if (ch.orders.size > 4) ch.orders.clear();
+      ch.orders.set(cycle, seededShuffle(ch.queue, (ch.seed + cycle) >>> 0));
+    }
+    return ch.orders.get(cycle);
+  }
 
-        adDisplayContainer.initialize();
-        adsLoader.requestAds(adsRequest);
-      } catch (err) {
-        console.warn("VAST pre-roll failed, continuing.", err);
-      }
+  function loopSlot(ch, cycle, position) {
+    const items = loopOrder(ch, cycle);
+    let startMs = ch.epochMs + cycle * ch.cycleMs;
+    for (let i = 0; i < position; i++) startMs += items[i].durationSec * 1000;
+    const item = items[position];
+    return {
+      key: `${ch.id}:${cycle}:${position}`,
+      channelId: ch.id,
+      cycle,
+      position,
+      item,
+      startMs,
+      endMs: startMs + item.durationSec * 1000,
     };
-
-    tryInit();
   }
 
-  // =========================================================
-  // TVOD CHECKOUT (PayPal-backed)
-  // =========================================================
-  async function startTVODCheckout(titleId) {
-    const t = state.byId.get(titleId);
-    if (!t) return alert("Title not found.");
-
-    if (!state.user) {
-      navTo("#/login?mode=login");
-      return;
+  function loopSlotAt(ch, timeMs) {
+    if (!ch?.queue.length || !ch.cycleMs) return null;
+    const elapsed = timeMs - ch.epochMs;
+    const cycle = Math.floor(elapsed / ch.cycleMs);
+    let into = elapsed - cycle * ch.cycleMs;
+    const items = loopOrder(ch, cycle);
+    for (let i = 0; i < items.length; i++) {
+      const len = items[i].durationSec * 1000;
+      if (into < len) return loopSlot(ch, cycle, i);
+      into -= len;
     }
+    return loopSlot(ch, cycle, items.length - 1);
+  }
 
-    if (CONFIG.TVOD_CHECKOUT_URL_BASE) {
-      const url = `${CONFIG.TVOD_CHECKOUT_URL_BASE}?titleId=${encodeURIComponent(
-        titleId
-      )}&user=${encodeURIComponent(state.user.id || state.user.email)}`;
-      window.open(url, "_blank");
-      return;
-    }
+  function followingSlot(ch, slot) {
+    return slot.position + 1 < ch.queue.length
+      ? loopSlot(ch, slot.cycle, slot.position + 1)
+      : loopSlot(ch, slot.cycle + 1, 0);
+  }
 
-    if (CONFIG.TVOD_API_BASE) {
-      try {
-        const res = await fetch(`${CONFIG.TVOD_API_BASE}/create-order`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            titleId,
-            userId: state.user.id,
-            email: state.user.email,
-          }),
-        });
-        const data = await res.json();
-        if (data?.checkoutUrl) {
-          window.open(data.checkoutUrl, "_blank");
-          return;
-        }
-        alert("TVOD order created, but no checkoutUrl returned.");
-      } catch (e) {
-        alert("TVOD backend error. Check TVOD_API_BASE.");
-      }
-      return;
+  // If an item finished before its slot ended, or the viewer is ahead of
+  // the schedule after Next, start the one after it from the top instead of
+  // going back.
+  function syncLoop(endedKey = null) {
+    const ch = activeLoopChannel();
+    const ended = state.loop.current;
+    let slot = loopSlotAt(ch, Date.now());
+    if (slot && ended?.key === endedKey && ended.startMs > slot.startMs) {
+      slot = ended;
     }
+    if (slot && slot.key === endedKey) slot = followingSlot(ch, slot);
+    state.loop.current = slot;
+    return slot;
+  }
 
-    if (CONFIG.PAYPAL_CLIENT_ID) {
-      alert(
-        "PayPal is configured, but TVOD checkout endpoints are not. Add TVOD_API_BASE or TVOD_CHECKOUT_URL_BASE."
-      );
-      return;
+  function tuneLoopChannel(channelId) {
+    const ch = state.loop.channels.find((c) => c.id === channelId);
+    if (ch && ch.id !== state.loop.channelId) {
+      state.loop.channelId = ch.id;
+      state.loop.current = null;
     }
+    const slot = state.loop.current;
+    if (!slot || Date.now() >= slot.endMs) syncLoop();
+  }
 
-    alert("TVOD checkout not configured yet.");
+  function switchLoopChannel(dir) {
+    const { channels } = state.loop;
+    if (channels.length < 2) return;
+    const i = channels.indexOf(activeLoopChannel());
+    const next = channels[(i + dir + channels.length) % channels.length];
+    navTo(`#/loop/${encodeURIComponent(next.id)}`);
   }
 
-  // =========================================================
-  // LOOP (LIVE)
-  // =========================================================
-  function shuffleArray(arr) {
-    const a = arr.slice();
-    for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [a[i], a[j]] = [a[j], a[i]];
-    }
-    return a;
+  // Next jumps this viewer ahead to the following program, played from the
+  // top; they stay that far ahead of the schedule until they retune. No
+  // viewer shuffle any more: every viewer of a channel sees one schedule, so
+  // shuffling is the channel's "shuffle" setting (see loopOrder).
+  function skipLoop() {
+    const ch = activeLoopChannel();
+    const slot = state.loop.current;
+    if (!ch || !slot || state.loop.playingAd) return;
+    state.loop.current = followingSlot(ch, slot);
+    render();
   }
 
-  function initLoopQueue() {
-    const loop = state.catalog?.loopChannel;
-    if (!loop || !(loop.rotationItems || []).length) {
-      state.loop.queue = [];
-      return;
-    }
+  function loopJoinOffset(slot) {
+    return Math.max(0, Math.floor((Date.now() - slot.startMs) / 1000));
+  }
 
-    const items = (loop.rotationItems || [])
-      .map((it) => resolveLoopItem(it))
-      .filter(Boolean);
+  function formatStartTime(ms) {
+    return new Date(ms).toLocaleTimeString(currentLocale, {
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
 
-    state.loop.queue = loop.shuffle ? shuffleArray(items) : items;
-    state.loop.index = 0;
-    state.loop.lastAdAt = 0;
-    state.loop.shuffle = !!loop.shuffle;
-    state.loop.playingAd = false;
+  function loopItemDuration(it, ref) {
+    return (
+      Number(it.durationSec) ||
+      Number(ref?.durationSec) ||
+      Number(ref?.runtimeMins) * 60 ||
+      LOOP_DEFAULT_ITEM_SECS
+    );
   }
 
   function resolveLoopItem(it) {
@@ -1489,9 +6578,10 @@
         kind: "content",
         refType,
         refId,
-        label: label || t.title || "Untitled",
+        label: label || localized(t, "title") || tr("common.untitled"),
         poster: poster(t),
         playbackId: t.contentPlaybackId || t.trailerPlaybackId || "",
+        durationSec: loopItemDuration(it, t),
       };
     }
 
@@ -1505,243 +6595,743 @@
         refId,
         label:
           label ||
-          `${series?.title || "Series"} — S${
+          `${localized(series, "title") || "Series"} — S${
             Number(ep.__seasonIndex) + 1
-          }E${Number(ep.__epIndex) + 1} • ${ep.title || "Untitled"}`,
+          }E${Number(ep.__epIndex) + 1} • ${
+            localized(ep, "title") || tr("common.untitled")
+          }`,
         poster: ep.thumbnailUrl || series?.posterUrl || "",
         playbackId: ep.contentPlaybackId || ep.trailerPlaybackId || "",
+        durationSec: loopItemDuration(it, ep),
       };
     }
 
     return null;
   }
 
+  // Sponsored ads: weighted pick among ads in flight and under their
+  // frequency cap. Impressions are kept per user so caps survive reloads.
+  const AD_CAPS_KEY = "watchvim_ad_caps";
+  const LOOP_AD_GRACE_MINS = 3;
+  const LOOP_AD_SKIP_AFTER_SECS = 5;
+
+  function adKey(ad) {
+    return String(
+      ad.id ||
+        ad.name ||
+        ad.muxAdPlaybackId ||
+        ad.mediaUrl ||
+        ad.vastUrl ||
+        ad.vastTagUrl ||
+        ""
+    );
+  }
+
+  function adCapsKey() {
+    return `${AD_CAPS_KEY}_${state.user?.id || "guest"}`;
+  }
+
+  function readAdImpressions() {
+    try {
+      return JSON.parse(localStorage.getItem(adCapsKey()) || "{}") || {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function capWindowMs(cap) {
+    return (Number(cap?.hours) || 24) * 60 * 60 * 1000;
+  }
+
+  function withinFrequencyCap(ad, impressions, now) {
+    const cap = ad.frequencyCap;
+    if (!cap?.count) return true;
+    const recent = (impressions[adKey(ad)] || []).filter(
+      (ts) => now - ts < capWindowMs(cap)
+    );
+    return recent.length < Number(cap.count);
+  }
+
+  function recordAdImpression(ad) {
+    if (!ad.frequencyCap?.count) return;
+    const impressions = readAdImpressions();
+    const now = Date.now();
+    const windowMs = capWindowMs(ad.frequencyCap);
+    impressions[ad.key] = [
+      ...(impressions[ad.key] || []).filter((ts) => now - ts < windowMs),
+      now,
+    ];
+    try {
+      localStorage.setItem(adCapsKey(), JSON.stringify(impressions));
+    } catch (_) {}
+  }
+
+  function inFlight(ad, now) {
+    const start = Date.parse(ad.flightStart || "");
+    const end = Date.parse(ad.flightEnd || "");
+    return !(start > now) && !(end <= now);
+  }
+
+  function adWeight(ad) {
+    const w = Number(ad.weight ?? 1);
+    return Number.isFinite(w) && w > 0 ? w : 0;
+  }
+
   function pickLoopAd() {
-    const loop = state.catalog?.loopChannel;
-    const ads = loop?.sponsoredAds || [];
-    if (!ads.length) return null;
-    const ad = ads[Math.floor(Math.random() * ads.length)];
-    if (!ad) return null;
+    const loop = activeLoopChannel()?.config;
+    const now = Date.now();
+    const impressions = readAdImpressions();
+    const eligible = (loop?.sponsoredAds || []).filter(
+      (ad) =>
+        ad &&
+        (ad.muxAdPlaybackId || ad.mediaUrl || ad.vastUrl || ad.vastTagUrl) &&
+        adWeight(ad) > 0 &&
+        inFlight(ad, now) &&
+        withinFrequencyCap(ad, impressions, now)
+    );
+    if (!eligible.length) return null;
 
+    let roll = Math.random() * eligible.reduce((n, a) => n + adWeight(a), 0);
+    const ad =
+      eligible.find((a) => (roll -= adWeight(a)) < 0) ||
+      eligible[eligible.length - 1];
+
+    const vastUrl = ad.vastUrl || ad.vastTagUrl || "";
     return {
       kind: "ad",
-      label: ad.name || "Sponsored",
+      key: adKey(ad),
+      label: ad.name || (vastUrl ? "" : "Sponsored"),
       durationSec: ad.durationSec || 15,
       playbackId: ad.muxAdPlaybackId || "",
       mediaUrl: ad.mediaUrl || "",
+      vastUrl,
       clickUrl: ad.clickUrl || "",
+      frequencyCap: ad.frequencyCap || null,
+      skippable: ad.skippable !== false,
+      skipAfterSec: ad.skipAfterSec,
     };
   }
 
+  // Seconds until the viewer may skip, or null when the ad can't be skipped.
+  // An explicit setting on the ad wins, then the VAST skipoffset (whose
+  // absence means non-skippable), then the channel default.
+  function loopAdSkipAfter(ad) {
+    if (!ad.skippable) return null;
+    if (ad.skipAfterSec != null && Number.isFinite(Number(ad.skipAfterSec))) {
+      return Number(ad.skipAfterSec);
+    }
+    if (ad.vast) return ad.vast.skipOffset;
+    const loop = activeLoopChannel()?.config;
+    const fallback = Number(loop?.adSkipAfterSec ?? LOOP_AD_SKIP_AFTER_SECS);
+    return Number.isFinite(fallback) ? fallback : LOOP_AD_SKIP_AFTER_SECS;
+  }
+
   function shouldPlayAd() {
-    const loop = state.catalog?.loopChannel;
+    if (!loopAdsRequired()) return false;
+    const loop = activeLoopChannel()?.config;
     const freqMins = Number(loop?.adFrequencyMins || 12);
     if (!freqMins) return false;
+    const graceMins = Number(loop?.adGraceMins ?? LOOP_AD_GRACE_MINS);
+    const joinedMs = Date.now() - state.loop.joinedAt;
+    if (joinedMs < graceMins * 60 * 1000) return false;
     const elapsedMs = Date.now() - (state.loop.lastAdAt || 0);
     return elapsedMs >= freqMins * 60 * 1000;
   }
 
-  function nextLoopItem() {
-    if (!state.loop.queue.length) return null;
-    state.loop.index = (state.loop.index + 1) % state.loop.queue.length;
-    if (state.loop.index === 0 && state.loop.shuffle) {
-      state.loop.queue = shuffleArray(state.loop.queue);
-    }
-    return state.loop.queue[state.loop.index];
-  }
-
-  function currentLoopItem() {
-    return state.loop.queue[state.loop.index] || null;
-  }
-
   function playNextLoop() {
     if (!state.loop.playingAd && shouldPlayAd()) {
       const ad = pickLoopAd();
-      if (ad && (ad.playbackId || ad.mediaUrl)) {
+      if (ad && (ad.playbackId || ad.mediaUrl || ad.vastUrl)) {
         state.loop.playingAd = true;
         state.loop.lastAdAt = Date.now();
+        if (ad.vastUrl) {
+          resolveVastAd(ad).then((resolved) => {
+            if (!state.loop.playingAd || state.route.name !== "loop") return;
+            if (resolved) return renderLoopAd(resolved);
+            playNextLoop();
+          });
+          return;
+        }
         renderLoopAd(ad);
         return;
       }
     }
     state.loop.playingAd = false;
-    nextLoopItem();
+    state.loop.ad = null;
+    syncLoop(state.loop.current?.key);
     render();
   }
 
-  function LoopPage() {
-    if (!isLoggedIn()) return GatePage();
+  function LoopEmpty() {
+    return `
+      <div class="p-6 md:p-8 space-y-3">
+        <div class="text-2xl font-bold">${tr("tab.LIVE")}</div>
+        <div class="text-white/70">${tr("loop.empty")}</div>
+        <div class="text-xs text-white/60">${tr("loop.emptyHint")}</div>
+      </div>
+    `;
+  }
 
-    const loop = state.catalog?.loopChannel;
-    const queue = state.loop.queue;
+  // Programs this profile can't watch keep their place in the shared
+  // schedule, but are never named or pictured anywhere slots are listed.
+  function loopItemView(item) {
+    const allowed = accessFor(state.byId.get(item.refId)).canWatch;
+    return allowed
+      ? { allowed, label: item.label, poster: item.poster }
+      : { allowed, label: tr("live.unavailable"), poster: "" };
+  }
 
-    if (!loop || !queue.length) {
-      return `
-        <div class="p-6 md:p-8 space-y-3">
-          <div class="text-2xl font-bold">LIVE</div>
-          <div class="text-white/70">No LIVE rotation items are published yet.</div>
-          <div class="text-xs text-white/60">In CMS → LIVE → add rotation items → Publish.</div>
+  function LoopNowNext(ch, slot) {
+    const next = followingSlot(ch, slot);
+    return `
+      <div id="loopNowNext" class="absolute left-3 right-3 top-3 md:right-auto md:max-w-md p-3 rounded-lg bg-black/75 border border-white/10 pointer-events-none transition-opacity duration-500">
+        <div class="text-[11px] uppercase tracking-widest text-watchGold/90">
+          ${tr("loop.channel", { number: ch.number })} • ${esc(ch.name)}
         </div>
-      `;
-    }
-
-    const nowItem = currentLoopItem();
-    const playbackId = nowItem?.playbackId;
+        <div class="text-sm font-semibold truncate">${tr("loop.now", {
+          label: esc(loopItemView(slot.item).label),
+        })}</div>
+        <div class="text-[11px] text-white/60">
+          ${formatStartTime(slot.startMs)} – ${formatStartTime(slot.endMs)}
+        </div>
+        <div class="mt-1 text-xs text-white/70 truncate">
+          ${tr("loop.nextAt", {
+            time: formatStartTime(next.startMs),
+            label: esc(loopItemView(next.item).label),
+          })}
+        </div>
+      </div>
+    `;
+  }
 
-    const upcoming = (() => {
-      if (!queue.length) return [];
-      const arr = [];
-      for (let i = 1; i < queue.length && arr.length < 12; i++) {
-        const idx = (state.loop.index + i) % queue.length;
-        arr.push(queue[idx]);
-      }
-      return arr;
-    })();
+  function LoopPage() {
+    const { ad, playingAd } = state.loop;
+    if (playingAd && ad) return LoopAdPage(ad);
+
+    const events = Row(tr("row.liveEvents"), liveEvents());
+    const ch = activeLoopChannel();
+    const slot = state.loop.current;
+    if (!ch || !slot) return events + (events ? "" : LoopEmpty());
+
+    const nowItem = slot.item;
+    const ref = state.byId.get(nowItem.refId);
+    const now = loopItemView(nowItem);
+    const playbackId = now.allowed ? nowItem.playbackId : "";
+    const multi = state.loop.channels.length > 1;
+    const airing = `${formatStartTime(slot.startMs)} – ${formatStartTime(
+      slot.endMs
+    )}`;
+
+    const upcoming = [];
+    let next = slot;
+    while (upcoming.length < 12) {
+      next = followingSlot(ch, next);
+      upcoming.push(next);
+    }
 
+    // The now/next overlay sits inside the keyed player box, so the key
+    // carries the locale to rebuild it after a language switch.
     return `
+      ${events}
       <div class="p-4 md:p-8 space-y-4">
-        <div class="flex items-center justify-between">
+        <div class="flex items-center justify-between gap-3">
           <div>
-            <div class="text-2xl font-bold">LIVE Loop Channel</div>
+            <div class="text-2xl font-bold">${
+              multi
+                ? `${tr("loop.channel", { number: ch.number })} • ${esc(
+                    ch.name
+                  )}`
+                : tr("loop.title")
+            }</div>
             <div class="text-xs text-white/60">
-              ${
-                loop.shuffle ? "Shuffle On" : "Shuffle Off"
-              } • Ads every ${loop.adFrequencyMins || 12} mins
+              ${airing} • ${tr("loop.adsEvery", {
+                count: ch.config.adFrequencyMins || 12,
+              })}
             </div>
           </div>
           <div class="flex gap-2">
-            <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="toggleLoopShuffle()">
-              ${state.loop.shuffle ? "Disable Shuffle" : "Enable Shuffle"}
-            </button>
-            <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="skipLoop()">
-              Next →
-            </button>
+            ${
+              multi
+                ? `
+              <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="switchLoopChannel(1)">${tr(
+                "loop.channelUp"
+              )}</button>
+              <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="switchLoopChannel(-1)">${tr(
+                "loop.channelDown"
+              )}</button>
+            `
+                : ""
+            }
+            <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="skipLoop()">${tr(
+              "loop.nextProgram"
+            )}</button>
+            <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="navTo('#/guide')">${tr(
+              "loop.guide"
+            )}</button>
           </div>
         </div>
 
         <div class="space-y-2">
-          <div class="text-sm font-semibold">${esc(nowItem?.label || "")}</div>
-          ${
-            playbackId
-              ? `
-            <div class="aspect-video bg-black rounded-xl overflow-hidden border border-white/10">
+          <div class="text-sm font-semibold">${esc(now.label || "")}</div>
+          <div data-player-key="${esc(
+            `${slot.key}:${currentLocale}`
+          )}" class="relative aspect-video bg-black rounded-xl overflow-hidden border border-white/10">
+            ${
+              playbackId
+                ? `
               <mux-player id="loopPlayer" stream-type="on-demand"
                 playback-id="${esc(
                   playbackId
-                )}"
-                class="w-full h-full" controls autoplay></mux-player>
-            </div>
-          `
-              : `
-            <div class="p-6 rounded-xl bg-white/5 border border-white/10 text-white/70">
-              This item has no Playback ID. Skipping…
-            </div>
-          `
-          }
+                )}" start-time="${loopJoinOffset(slot)}"
+                class="w-full h-full" controls autoplay>${TrackTags(
+                  subtitleTracksFor(ref)
+                )}</mux-player>
+            `
+                : `
+              <div class="w-full h-full flex items-center justify-center p-6 text-center text-white/70">
+                ${tr("loop.unavailable", {
+                  time: esc(formatStartTime(slot.endMs)),
+                })}
+              </div>
+            `
+            }
+            ${LoopNowNext(ch, slot)}
+          </div>
         </div>
 
-        ${
-          upcoming.length
-            ? `
         <div class="mt-4 space-y-2">
-          <div class="text-xs text-white/60 uppercase tracking-wide">Up Next</div>
+          <div class="text-xs text-white/60 uppercase tracking-wide">${tr(
+            "upNext.title"
+          )}</div>
           <div class="flex gap-3 overflow-x-auto no-scrollbar pb-2">
             ${upcoming
-              .map(
-                (item) => `
+              .map(({ item, startMs }) => {
+                const view = loopItemView(item);
+                return `
               <div class="min-w-[120px] max-w-[140px]">
                 <div class="aspect-[2/3] rounded-lg overflow-hidden bg-white/5 border border-white/10">
-                  ${
-                    item.poster
-                      ? `<img src="${esc(
-                          item.poster
-                        )}" class="w-full h-full object-cover"/>`
-                      : ""
-                  }
+                  ${ArtImage({
+                    src: view.poster,
+                    cls: "w-full h-full object-cover",
+                  })}
                 </div>
-                <div class="mt-1 text-[11px] text-white/70 line-clamp-2">${esc(
-                  item.label
+                <div class="mt-1 text-[11px] text-watchGold/90">${esc(
+                  formatStartTime(startMs)
+                )}</div>
+                <div class="text-[11px] text-white/70 line-clamp-2">${esc(
+                  view.label
                 )}</div>
               </div>
-            `
-              )
+            `;
+              })
               .join("")}
           </div>
         </div>
-        `
-            : ""
-        }
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // PROGRAM GUIDE (EPG grid)
+  // =========================================================
+  const GUIDE_WINDOW_MINS = 180;
+  const GUIDE_STEP_MINS = 30;
+  const GUIDE_PX_PER_MIN = 6;
+  const GUIDE_MAX_SLOTS = 200;
+
+  function guideSlots(ch, startMs, endMs) {
+    const slots = [];
+    let slot = loopSlotAt(ch, startMs);
+    while (slot && slot.startMs < endMs && slots.length < GUIDE_MAX_SLOTS) {
+      slots.push(slot);
+      slot = followingSlot(ch, slot);
+    }
+    return slots;
+  }
+
+  function GuidePage() {
+    const channels = state.loop.channels;
+    if (!channels.length) return LoopEmpty();
+
+    const now = Date.now();
+    const stepMs = GUIDE_STEP_MINS * 60 * 1000;
+    const startMs = Math.floor(now / stepMs) * stepMs;
+    const endMs = startMs + GUIDE_WINDOW_MINS * 60 * 1000;
+    const px = (ms) => Math.round((ms / 60000) * GUIDE_PX_PER_MIN);
+    const width = px(endMs - startMs);
+
+    const ticks = [];
+    for (let t = startMs; t < endMs; t += stepMs) ticks.push(t);
+
+    const row = (ch) => `
+      <div class="flex border-t border-white/10">
+        <div class="sticky left-0 z-10 w-28 md:w-40 shrink-0 p-2 bg-watchBlack border-r border-white/10">
+          <div class="text-[11px] text-watchGold/90">${tr("loop.channel", {
+            number: ch.number,
+          })}</div>
+          <div class="text-sm font-semibold truncate">${esc(ch.name)}</div>
+        </div>
+        <div class="relative h-16 shrink-0" style="width:${width}px">
+          ${guideSlots(ch, startMs, endMs)
+            .map((slot) => {
+              const from = Math.max(slot.startMs, startMs);
+              const to = Math.min(slot.endMs, endMs);
+              const onAir = slot.startMs <= now && now < slot.endMs;
+              return `
+            <button class="tv-focus absolute top-1 bottom-1 px-2 text-left rounded border overflow-hidden ${
+              onAir
+                ? "bg-white/15 border-watchGold/60"
+                : "bg-white/5 border-white/10"
+            } hover:bg-white/20" style="left:${px(
+                from - startMs
+              )}px;width:${Math.max(8, px(to - from) - 4)}px"
+              onclick="navTo('#/loop/${esc(encodeURIComponent(ch.id))}')">
+              <div class="text-xs font-semibold truncate">${esc(
+                loopItemView(slot.item).label
+              )}</div>
+              <div class="text-[11px] text-white/60 truncate">${formatStartTime(
+                slot.startMs
+              )} – ${formatStartTime(slot.endMs)}</div>
+            </button>
+          `;
+            })
+            .join("")}
+          <div class="absolute top-0 bottom-0 w-px bg-watchGold pointer-events-none" style="left:${px(
+            now - startMs
+          )}px"></div>
+        </div>
+      </div>
+    `;
+
+    return `
+      <div class="p-4 md:p-8 space-y-4">
+        <div class="flex items-center justify-between">
+          <div class="text-2xl font-bold">${tr("loop.guide")}</div>
+          <button class="tv-focus px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm" onclick="navTo('#/loop')">${tr(
+            "loop.watchLive"
+          )}</button>
+        </div>
+        <div class="overflow-x-auto no-scrollbar rounded-xl border border-white/10">
+          <div class="flex">
+            <div class="sticky left-0 z-10 w-28 md:w-40 shrink-0 bg-watchBlack"></div>
+            <div class="relative h-8 shrink-0" style="width:${width}px">
+              ${ticks
+                .map(
+                  (t) => `
+                <div class="absolute top-2 text-xs text-white/60" style="left:${px(
+                  t - startMs
+                )}px">${formatStartTime(t)}</div>
+              `
+                )
+                .join("")}
+            </div>
+          </div>
+          ${channels.map(row).join("")}
+        </div>
       </div>
     `;
   }
 
   function attachLoopPlayerListeners() {
-    const p = document.getElementById("loopPlayer");
-    if (!p) return;
+    if (!firstMount(document.querySelector("#appMain [data-player-key]"))) {
+      return;
+    }
+    clearTimeout(loopSlotTimer);
+    clearTimeout(loopOverlayTimer);
+    loopSlotTimer = loopOverlayTimer = null;
+    if (state.loop.playingAd && state.loop.ad) {
+      return mountLoopAd(state.loop.ad);
+    }
+    const slot = state.loop.current;
+    loopOverlayTimer = setTimeout(() => {
+      document.getElementById("loopNowNext")?.classList.add("opacity-0");
+    }, LOOP_OVERLAY_MS);
+
+    if (slot && slot.key !== lastTrackedLoopKey) {
+      lastTrackedLoopKey = slot.key;
+      trackEvent("loop_item", {
+        channelId: slot.channelId,
+        titleId: slot.item.refId,
+        scheduledStart: new Date(slot.startMs).toISOString(),
+      });
+    }
 
-    const nowItem = currentLoopItem();
-    if (!nowItem?.playbackId) {
-      setTimeout(() => playNextLoop(), 500);
+    const p = document.getElementById("loopPlayer");
+    if (!p) {
+      if (slot) {
+        loopSlotTimer = setTimeout(
+          () => playNextLoop(),
+          Math.max(0, slot.endMs - Date.now())
+        );
+      }
       return;
     }
 
+    instrumentPlayer(p, {
+      surface: "loop",
+      channelId: slot.channelId,
+      titleId: slot.item.refId,
+      playbackId: slot.item.playbackId,
+    });
+    attachTracks(p);
     p.addEventListener("ended", () => playNextLoop());
     p.addEventListener("error", () => playNextLoop());
   }
 
-  function renderLoopAd(ad) {
-    app.innerHTML = `
-      ${Header()}
-      <div class="min-h-[calc(100vh-64px)] bg-watchBlack pb-24 md:pb-8">
-        <div class="p-4 md:p-8 space-y-3">
-          <div class="text-xs uppercase tracking-widest text-watchGold/90">Sponsored</div>
-          <div class="text-lg font-bold">${esc(ad.label || "Ad")}</div>
+  let loopAdTracker = null;
+  let loopAdPlaying = null;
+  let lastTrackedLoopKey = null;
 
-          <div class="aspect-video bg-black rounded-xl overflow-hidden border border-white/10">
-            ${
-              ad.playbackId
-                ? `
-              <mux-player id="loopAdPlayer" stream-type="on-demand"
-                playback-id="${esc(
-                  ad.playbackId
-                )}" class="w-full h-full"
-                autoplay controls></mux-player>
-            `
-                : `
-              <video id="loopAdPlayer" class="w-full h-full" autoplay controls>
-                <source src="${esc(ad.mediaUrl)}" />
-              </video>
-            `
-            }
-          </div>
+  function skipLoopAd() {
+    if (document.getElementById("loopAdSkip")?.disabled) return;
+    if (loopAdPlaying) trackEvent("ad_skip", loopAdPlaying);
+    loopAdTracker?.skip();
+    loopAdTracker = null;
+    playNextLoop();
+  }
+
+  function loopAdClicked() {
+    if (loopAdPlaying) trackEvent("ad_click", loopAdPlaying);
+    loopAdTracker?.click();
+  }
+
+  function renderLoopAd(ad) {
+    loopAdPlaying = {
+      surface: "ad",
+      adId: ad.key,
+      channelId: state.loop.current?.channelId || null,
+      vast: !!ad.vast,
+    };
+    state.loop.ad = ad;
+    render();
+  }
 
+  function LoopAdPage(ad) {
+    const skipAfter = loopAdSkipAfter(ad);
+    return `
+      <div data-player-key="${esc(
+        `ad:${ad.key}:${state.loop.lastAdAt}`
+      )}" class="p-4 md:p-8 space-y-3">
+        <div class="text-xs uppercase tracking-widest text-watchGold/90">${tr(
+          "ad.sponsored"
+        )}</div>
+        <div class="text-lg font-bold">${esc(ad.label || tr("ad.label"))}</div>
+
+        <div class="aspect-video bg-black rounded-xl overflow-hidden border border-white/10">
           ${
-            ad.clickUrl
+            ad.playbackId
               ? `
-            <a class="text-sm text-watchGold underline" href="${esc(
-              ad.clickUrl
-            )}" target="_blank" rel="noreferrer">Learn more</a>
+            <mux-player id="loopAdPlayer" stream-type="on-demand"
+              playback-id="${esc(
+                ad.playbackId
+              )}" class="w-full h-full"
+              autoplay controls></mux-player>
+          `
+              : `
+            <video id="loopAdPlayer" class="w-full h-full" autoplay controls>
+              <source src="${esc(ad.mediaUrl)}" />
+            </video>
           `
-              : ""
           }
-
-          <button class="tv-focus px-3 py-2 rounded bg-white/10 hover:bg-white/20 text-sm w-fit" onclick="playNextLoop()">Skip Ad →</button>
         </div>
+
+        ${
+          ad.clickUrl
+            ? `
+          <a class="text-sm text-watchGold underline" href="${esc(
+            ad.clickUrl
+          )}" target="_blank" rel="noreferrer" onclick="loopAdClicked()">${tr(
+            "ad.learnMore"
+          )}</a>
+        `
+            : ""
+        }
+
+        ${
+          skipAfter == null
+            ? ""
+            : `
+          <button id="loopAdSkip" class="tv-focus px-3 py-2 rounded bg-white/10 hover:bg-white/20 text-sm w-fit disabled:opacity-50"
+            onclick="skipLoopAd()" ${skipAfter > 0 ? "disabled" : ""}>${
+                skipAfter > 0
+                  ? tr("ad.skipIn", { seconds: Math.ceil(skipAfter) })
+                  : tr("ad.skip")
+              }</button>
+        `
+        }
       </div>
-      ${MobileTabBar()}
-      ${Footer()}
     `;
+  }
 
+  function mountLoopAd(ad) {
+    const skipAfter = loopAdSkipAfter(ad);
     const p = document.getElementById("loopAdPlayer");
+    loopAdTracker = null;
     if (!p) return;
-    p.addEventListener("ended", () => {
-      state.loop.playingAd = false;
-      render();
-    });
-    p.addEventListener("error", () => {
-      state.loop.playingAd = false;
-      render();
-    });
+    if (ad.vast) loopAdTracker = attachVastTracker(p, ad.vast);
+    instrumentPlayer(p, loopAdPlaying);
+    // An ad that never starts (autoplay blocked, bad media) isn't an
+    // impression and mustn't count against its frequency cap.
+    p.addEventListener(
+      "playing",
+      () => {
+        recordAdImpression(ad);
+        trackEvent("ad_impression", loopAdPlaying);
+      },
+      { once: true }
+    );
+    if (skipAfter > 0) {
+      const btn = document.getElementById("loopAdSkip");
+      p.addEventListener("timeupdate", () => {
+        if (!btn?.disabled) return;
+        const left = Math.ceil(skipAfter - (p.currentTime || 0));
+        if (left > 0) {
+          btn.textContent = tr("ad.skipIn", { seconds: left });
+        } else {
+          btn.disabled = false;
+          btn.textContent = tr("ad.skip");
+          if (isTV()) tvFocusElement(btn);
+        }
+      });
+    }
+    p.addEventListener("ended", () => playNextLoop());
+    p.addEventListener("error", () => playNextLoop());
+  }
+
+  // =========================================================
+  // PIN ENTRY
+  // =========================================================
+  let pinEntry = "";
+  let pinFirst = null;
+  let pinVerifiedAt = 0;
+  let pendingPinAction = null;
+
+  function pinFresh() {
+    return Date.now() - pinVerifiedAt <= PIN_VERIFIED_MS;
+  }
+
+  // Setting a new PIN over an existing one needs a fresh verification.
+  function pinMode(mode) {
+    if (mode === "set" && storedPinHash() && !pinFresh()) return "change";
+    if (mode === "limit" && !storedPinHash()) return "set";
+    return mode || "unlock";
+  }
+
+  function pinDots() {
+    return Array.from(
+      { length: PIN_LENGTH },
+      (_, i) =>
+        `<span class="w-4 h-4 rounded-full ${
+          i < pinEntry.length ? "bg-white" : "bg-white/20"
+        }"></span>`
+    ).join("");
+  }
+
+  function updatePinPad(message = "") {
+    const dots = document.getElementById("pinDots");
+    const msg = document.getElementById("pinMessage");
+    if (dots) dots.innerHTML = pinDots();
+    if (msg) msg.textContent = message;
+  }
+
+  function resetPinEntry() {
+    pinEntry = "";
+    pinFirst = null;
+    pendingPinAction = null;
+  }
+
+  // Once any profile has a limit, a limited profile could step around it by
+  // switching to a freer profile or adding and removing profiles, so those
+  // go through the PIN first.
+  function profilesLocked() {
+    return (
+      !!storedPinHash() &&
+      !pinFresh() &&
+      state.profiles.some((p) => profileLimit(p) < NO_MATURITY_LIMIT)
+    );
+  }
+
+  function withProfilePin(action) {
+    if (!profilesLocked()) return action();
+    const next = encodeURIComponent(safeNext(location.hash) || "#/profiles");
+    pendingPinAction = action;
+    navTo(`#/parental?mode=verify&next=${next}`);
+  }
+
+  function pinPress(digit) {
+    if (pinEntry.length >= PIN_LENGTH) return;
+    pinEntry += digit;
+    updatePinPad();
+  }
+
+  function pinBackspace() {
+    pinEntry = pinEntry.slice(0, -1);
+    updatePinPad();
+  }
+
+  async function pinSubmit() {
+    const { level, item } = state.route.params;
+    const next = safeNext(state.route.params.next);
+    const mode = pinMode(state.route.params.mode);
+    const pin = pinEntry;
+    pinEntry = "";
+    if (pin.length !== PIN_LENGTH) {
+      return updatePinPad(tr("parental.pin.digits", { count: PIN_LENGTH }));
+    }
+
+    if (mode === "set") {
+      if (!pinFirst) {
+        pinFirst = pin;
+        return render();
+      }
+      if (pinFirst !== pin) {
+        pinFirst = null;
+        render();
+        return updatePinPad(tr("parental.pin.mismatch"));
+      }
+      pinFirst = null;
+      await savePinHash(await hashPin(pin));
+      if (level !== "") await applyMaturityLimit(Number(level));
+      return navTo(next || "#/profile");
+    }
+
+    if ((await hashPin(pin)) !== storedPinHash()) {
+      return updatePinPad(tr("parental.pin.incorrect"));
+    }
+    pinVerifiedAt = Date.now();
+
+    if (mode === "verify") {
+      const action = pendingPinAction;
+      pendingPinAction = null;
+      return action ? action() : navTo(next || "#/profiles");
+    }
+    if (mode === "change") {
+      const target = `#/parental?mode=set&level=${level}&next=${encodeURIComponent(
+        next || "#/profile"
+      )}`;
+      return location.hash === target ? render() : navTo(target);
+    }
+    if (mode === "limit") {
+      await applyMaturityLimit(Number(level));
+      return navTo(next || "#/profile");
+    }
+    if (item) {
+      state.parentalUnlock = { id: item, until: Date.now() + PIN_UNLOCK_MS };
+    }
+    navTo(next || "#/home");
+  }
+
+  // Lowering the limit skips the PIN once one exists; without a PIN any
+  // limit goes through creating one, or it could be undone by setting one.
+  function requestMaturityLimit(level) {
+    const next = encodeURIComponent("#/profile");
+    const hasPin = !!storedPinHash();
+    if (level <= maturityLimit() && (hasPin || level === NO_MATURITY_LIMIT)) {
+      applyMaturityLimit(level).then(render);
+      return;
+    }
+    const mode = hasPin ? "limit" : "set";
+    navTo(`#/parental?mode=${mode}&level=${level}&next=${next}`);
   }
 
   // =========================================================
@@ -1751,140 +7341,414 @@
     return `
       <footer class="px-4 md:px-8 py-6 text-xs text-white/50 border-t border-white/10">
         <div class="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
-          <div>© WatchVIM — Powered by VIM Media</div>
+          <div>${tr("footer.poweredBy")}</div>
           <div class="flex flex-wrap gap-3">
-            <button class="tv-focus hover:text-white text-white/60" onclick="navTo('#/legal/terms')">Terms</button>
-            <button class="tv-focus hover:text-white text-white/60" onclick="navTo('#/legal/privacy')">Privacy</button>
-            <button class="tv-focus hover:text-white text-white/60" onclick="navTo('#/legal/refund')">Refund Policy</button>
+            <button class="tv-focus hover:text-white text-white/60" onclick="navTo('#/legal/terms')">${tr("footer.terms")}</button>
+            <button class="tv-focus hover:text-white text-white/60" onclick="navTo('#/legal/privacy')">${tr("footer.privacy")}</button>
+            <button class="tv-focus hover:text-white text-white/60" onclick="navTo('#/legal/refund')">${tr("footer.refund")}</button>
           </div>
         </div>
       </footer>
     `;
   }
 
+  // =========================================================
+  // DOM PATCHING
+  // =========================================================
+  // render() diffs the new markup into the live tree instead of replacing
+  // it. Elements marked data-player-key belong to whatever was mounted into
+  // them (a player, a resume prompt, an ad break, checkout buttons); while
+  // the key is unchanged their subtree is left alone so playback carries on.
+  function htmlToFragment(html) {
+    const tpl = document.createElement("template");
+    tpl.innerHTML = html;
+    return tpl.content;
+  }
+
+  // Mount hooks run on every render of their route, so they wire each
+  // element once: true the first time an element is seen, false after.
+  const mountedEls = new WeakSet();
+
+  function firstMount(el) {
+    if (!el || mountedEls.has(el)) return false;
+    mountedEls.add(el);
+    return true;
+  }
+
+  function sameNode(a, b) {
+    if (a.nodeType !== b.nodeType || a.nodeName !== b.nodeName) return false;
+    if (a.nodeType !== Node.ELEMENT_NODE) return true;
+    return (
+      a.id === b.id &&
+      (a.dataset.playerKey || "") === (b.dataset.playerKey || "")
+    );
+  }
+
+  function syncAttributes(from, to) {
+    for (const { name } of Array.from(from.attributes)) {
+      if (!to.hasAttribute(name)) from.removeAttribute(name);
+    }
+    for (const { name, value } of Array.from(to.attributes)) {
+      if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+    }
+  }
+
+  function morphNode(from, to) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+      if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+      return;
+    }
+    if (to.dataset.playerKey) return;
+    syncAttributes(from, to);
+    morphChildren(from, to);
+  }
+
+  // Walks both child lists in order. When the next old node doesn't match,
+  // a later matching sibling is preferred over inserting, so one added or
+  // removed block doesn't cascade into rebuilding everything after it.
+  function morphChildren(parent, next) {
+    let cur = parent.firstChild;
+    for (const node of Array.from(next.childNodes)) {
+      let match = cur;
+      while (match && !sameNode(match, node)) match = match.nextSibling;
+      if (!match) {
+        parent.insertBefore(node, cur);
+        continue;
+      }
+      while (cur !== match) {
+        const stale = cur;
+        cur = cur.nextSibling;
+        stale.remove();
+      }
+      morphNode(cur, node);
+      cur = cur.nextSibling;
+    }
+    while (cur) {
+      const stale = cur;
+      cur = cur.nextSibling;
+      stale.remove();
+    }
+  }
+
   // =========================================================
   // MAIN RENDER
   // =========================================================
+  // The ad grace period restarts each time the viewer comes back to LIVE,
+  // but not when flipping channels.
+  function enterLoop(params, from) {
+    if (from !== "loop") state.loop.joinedAt = Date.now();
+    state.loop.playingAd = false;
+    state.loop.ad = null;
+    tuneLoopChannel(params.channelId);
+  }
+
+  function mountWatch(params) {
+    const t = state.byId.get(params.id);
+    if (!t) return;
+    scheduleEntitlementExpiry(t);
+    const pb = muxIdFor(t, params.kind);
+    const access = accessFor(t, params.kind);
+    const vastTag = access.ads ? adTagFor(t) : "";
+    const live =
+      params.kind === "content" && isLiveEvent(t) ? liveState(t) : "";
+    if (live === "upcoming") startLiveCountdown(t);
+    startPlayback({
+      playbackId: pb,
+      vastTag,
+      vmapTag: access.ads && live !== "live" ? vmapTagFor(t) : "",
+      adBreaks: live === "live" ? null : adBreaksFor(t),
+      directUrl: t.videoUrl,
+      streamType: live === "live" ? "live" : "on-demand",
+      titleId: t.id,
+      kind: params.kind,
+      startTime: live === "live" ? 0 : params.t,
+      progressId: params.kind === "content" && live !== "live" ? t.id : null,
+      subtitles: params.kind === "content" ? subtitleTracksFor(t) : [],
+      videoCors: videoCorsFor(t, t.videoUrl),
+      onEnded: live === "live" ? () => endLiveEvent(t) : null,
+    });
+  }
+
+  function mountEpisode(params) {
+    const s = state.byId.get(params.seriesId);
+    const ep = s?.seasons?.[params.seasonIndex]?.episodes?.[params.epIndex];
+    if (!ep) return;
+    scheduleEntitlementExpiry(ep);
+    const pb = muxIdFor(ep, params.kind);
+    const next =
+      params.kind === "content"
+        ? adjacentEpisode(s, params.seasonIndex, params.epIndex, 1)
+        : null;
+    const access = accessFor(ep, params.kind);
+    const vastTag = access.ads ? adTagFor(ep) : "";
+    startPlayback({
+      playbackId: pb,
+      vastTag,
+      vmapTag: access.ads ? vmapTagFor(ep) : "",
+      adBreaks: adBreaksFor(ep),
+      directUrl: ep.videoUrl,
+      titleId: ep.id,
+      kind: params.kind,
+      startTime: params.t,
+      progressId: params.kind === "content" ? ep.id : null,
+      seriesId: s.id,
+      subtitles: params.kind === "content" ? subtitleTracksFor(ep) : [],
+      videoCors: videoCorsFor(ep, ep.videoUrl),
+      onEnded: next ? () => showUpNext(s, next) : null,
+    });
+  }
+
+  let lastRenderBlocked = false;
+
+  function clearPageTimers() {
+    cancelUpNext();
+    if (entitlementExpiryTimer) clearTimeout(entitlementExpiryTimer);
+    entitlementExpiryTimer = null;
+    clearTimeout(loopSlotTimer);
+    clearTimeout(loopOverlayTimer);
+    loopSlotTimer = loopOverlayTimer = null;
+    clearInterval(liveCountdownTimer);
+    liveCountdownTimer = null;
+  }
+
   function render() {
+    const from = lastRenderBlocked ? "" : state.route?.name || "";
     state.route = parseHash();
     const r = state.route;
+    const route = ROUTE_BY_NAME.get(r.name);
+    const blocked = runGuards(route, r.params);
+    const navigated =
+      location.hash !== lastRenderedHash || !!blocked !== lastRenderBlocked;
+    lastRenderedHash = location.hash;
+    lastRenderBlocked = !!blocked;
+
+    if (r.name !== "parental") resetPinEntry();
+    if (navigated) {
+      rowWindows.clear();
+      rowItems.clear();
+    }
+    if (navigated && !blocked) route.enter?.(r.params, from);
 
-    if (r.name === "login")
-      loginView = r.params.mode === "signup" ? "signup" : "login";
-
-    let page = "";
-    if (r.name === "home") page = HomePage();
-    else if (r.name === "title") page = TitlePage(r.params.id);
-    else if (r.name === "series") page = SeriesPage(r.params.id);
-    else if (r.name === "episode")
-      page = EpisodeWatchPage(
-        r.params.seriesId,
-        r.params.seasonIndex,
-        r.params.epIndex,
-        r.params.kind
-      );
-    else if (r.name === "watch") page = WatchPage(r.params.id, r.params.kind);
-    else if (r.name === "loop") page = LoopPage();
-    else if (r.name === "search") page = SearchPage();
-    else if (r.name === "login") page = LoginPage();
-    else if (r.name === "profile") page = ProfilePage();
-    else if (r.name === "legal") page = LegalPage(r.params.slug);
-    else page = HomePage();
-
-    app.innerHTML = `
+    const view = htmlToFragment(`
       ${Header()}
-      <main class="flex-1 min-h-[calc(100vh-64px)] bg-watchBlack pb-24 md:pb-8">
-        ${page}
+      ${OfflineBanner()}
+      <main id="appMain" class="flex-1 min-h-[calc(100vh-64px)] bg-watchBlack pb-24 md:pb-8">
+        ${blocked || route.page(r.params)}
       </main>
       ${MobileTabBar()}
       ${Footer()}
-    `;
-
-    if (r.name === "watch" && isLoggedIn()) {
-      const t = state.byId.get(r.params.id);
-      if (t) {
-        const pb = muxIdFor(t, r.params.kind);
-        const vastTag = t.vastTag || t.vast || CONFIG.VAST_TAG || "";
-        mountPlayer({ playbackId: pb, vastTag, directUrl: t.videoUrl });
-        markWatched(t.id, 0);
-      }
+    `);
+
+    // A new entry starts from a clean page. Re-rendering the same entry
+    // patches it in place, so typed input, caret, focus, timers and players
+    // all carry on; the mount hook only wires up elements that are new.
+    const main = document.getElementById("appMain");
+    if (navigated || !main) {
+      clearPageTimers();
+      main?.replaceChildren();
+      morphChildren(app, view);
+      if (!blocked) route.mount?.(r.params);
+      observeArt();
+      restoreScrollPosition(null);
+      if (isTV()) tvFocusReset();
+      return;
     }
 
-    if (r.name === "episode" && isLoggedIn()) {
-      const s = state.byId.get(r.params.seriesId);
-      const season = s?.seasons?.[Number(r.params.seasonIndex)];
-      const ep = season?.episodes?.[Number(r.params.epIndex)];
-      if (ep) {
-        const pb = muxIdFor(ep, r.params.kind);
-        const vastTag = ep.vastTag || ep.vast || CONFIG.VAST_TAG || "";
-        mountPlayer({ playbackId: pb, vastTag, directUrl: ep.videoUrl });
-        markWatched(s.id, 0);
-      }
+    const focusId = document.activeElement?.id || "";
+    morphChildren(app, view);
+    if (!blocked) route.mount?.(r.params);
+    if (focusId && !document.activeElement?.id) {
+      document.getElementById(focusId)?.focus();
     }
-
-    if (r.name === "loop" && isLoggedIn()) attachLoopPlayerListeners();
-    if (r.name === "search") wireSearch();
-    if (r.name === "home") wireHeroHover();
-
-    if (isTV()) tvFocusReset();
-    window.scrollTo(0, 0);
+    observeArt();
+    if (!isTV()) return;
+    if (tvCurrent?.isConnected) tvCurrent.classList.add("focus-ring");
+    else tvFocusReset();
   }
 
   // =========================================================
   // TV D-PAD NAV
   // =========================================================
-  let tvFocusIndex = 0;
-  function tvFocusable() {
-    return Array.from(document.querySelectorAll(".tv-focus")).filter(
+  // Focus moves spatially: the nearest .tv-focus element in the pressed
+  // direction wins. Header and tab bar are separate zones (data-focus-zone),
+  // and each horizontal row (data-focus-row) remembers its last tile.
+  let tvCurrent = null;
+  const tvRowMemory = new Map();
+  const tvZoneMemory = new Map();
+
+  function tvFocusable(root = document) {
+    return Array.from(root.querySelectorAll(".tv-focus")).filter(
       (el) => !el.disabled && el.offsetParent !== null
     );
   }
+  function tvZoneOf(el) {
+    return el.closest("[data-focus-zone]")?.dataset.focusZone || "main";
+  }
+  function tvRowOf(el) {
+    return el.closest("[data-focus-row]");
+  }
+
   function tvFocusReset() {
     const items = tvFocusable();
     if (!items.length) return;
-    tvFocusIndex = 0;
     items.forEach((i) => i.classList.remove("focus-ring"));
-    items[0].classList.add("focus-ring");
-    items[0].scrollIntoView({ block: "nearest", inline: "nearest" });
+    tvCurrent = null;
+
+    const saved = history.state?.tvFocus;
+    const restored = Number.isInteger(saved) ? items[saved] : null;
+    const firstMain = items.find((el) => tvZoneOf(el) === "main");
+    tvFocusElement(restored || firstMain || items[0]);
   }
-  function tvMove(delta) {
+
+  function tvFocusElement(el) {
+    if (!el) return;
     const items = tvFocusable();
-    if (!items.length) return;
-    items[tvFocusIndex]?.classList.remove("focus-ring");
-    tvFocusIndex = Math.max(
-      0,
-      Math.min(items.length - 1, tvFocusIndex + delta)
-    );
-    items[tvFocusIndex].classList.add("focus-ring");
-    items[tvFocusIndex].scrollIntoView({
-      block: "nearest",
-      inline: "nearest",
+    const idx = items.indexOf(el);
+    if (idx < 0) return;
+
+    tvCurrent?.classList.remove("focus-ring");
+    tvCurrent = el;
+    el.classList.add("focus-ring");
+    el.scrollIntoView({ block: "nearest", inline: "nearest" });
+
+    const row = tvRowOf(el);
+    if (row) tvRowMemory.set(row.dataset.focusRow, tvFocusable(row).indexOf(el));
+    const zone = tvZoneOf(el);
+    const zoneEl = el.closest("[data-focus-zone]");
+    if (zoneEl) tvZoneMemory.set(zone, tvFocusable(zoneEl).indexOf(el));
+
+    try {
+      history.replaceState({ ...(history.state || {}), tvFocus: idx }, "");
+    } catch (_) {}
+  }
+
+  // Distance along the pressed direction plus a weighted sideways offset;
+  // null when the candidate is not in that direction at all.
+  function tvScore(from, to, dir) {
+    const a = from.getBoundingClientRect();
+    const b = to.getBoundingClientRect();
+    const ax = a.left + a.width / 2;
+    const ay = a.top + a.height / 2;
+    const bx = b.left + b.width / 2;
+    const by = b.top + b.height / 2;
+
+    let primary;
+    let secondary;
+    if (dir === "right") {
+      if (bx <= ax || b.left < a.left + 1) return null;
+      primary = Math.max(0, b.left - a.right);
+      secondary = Math.abs(by - ay);
+    } else if (dir === "left") {
+      if (bx >= ax || b.right > a.right - 1) return null;
+      primary = Math.max(0, a.left - b.right);
+      secondary = Math.abs(by - ay);
+    } else if (dir === "down") {
+      if (by <= ay || b.top < a.top + 1) return null;
+      primary = Math.max(0, b.top - a.bottom);
+      secondary = Math.abs(bx - ax);
+    } else {
+      if (by >= ay || b.bottom > a.bottom - 1) return null;
+      primary = Math.max(0, a.top - b.bottom);
+      secondary = Math.abs(bx - ax);
+    }
+    return primary + secondary * 2;
+  }
+
+  function tvBest(from, candidates, dir) {
+    let best = null;
+    let bestScore = Infinity;
+    candidates.forEach((el) => {
+      if (el === from) return;
+      const score = tvScore(from, el, dir);
+      if (score !== null && score < bestScore) {
+        best = el;
+        bestScore = score;
+      }
     });
+    return best;
   }
-  function tvActivate() {
+
+  // Entering a row or a non-main zone lands on whatever was focused there last.
+  function tvRemembered(from, target, dir) {
+    const vertical = dir === "up" || dir === "down";
+    const row = tvRowOf(target);
+    if (vertical && row && row !== tvRowOf(from)) {
+      const idx = tvRowMemory.get(row.dataset.focusRow);
+      const el = Number.isInteger(idx) ? tvFocusable(row)[idx] : null;
+      if (el) return el;
+    }
+
+    const zone = tvZoneOf(target);
+    if (zone !== "main" && zone !== tvZoneOf(from)) {
+      const zoneEl = target.closest("[data-focus-zone]");
+      const idx = tvZoneMemory.get(zone);
+      const el = Number.isInteger(idx) ? tvFocusable(zoneEl)[idx] : null;
+      if (el) return el;
+    }
+    return target;
+  }
+
+  function tvMove(dir) {
     const items = tvFocusable();
-    const el = items[tvFocusIndex];
-    if (!el) return;
-    el.click();
+    if (!items.length) return;
+    if (!tvCurrent || !items.includes(tvCurrent)) return tvFocusReset();
+
+    const zone = tvZoneOf(tvCurrent);
+    const target =
+      tvBest(
+        tvCurrent,
+        items.filter((el) => tvZoneOf(el) === zone),
+        dir
+      ) || tvBest(tvCurrent, items, dir);
+    if (!target) return;
+    tvFocusElement(tvRemembered(tvCurrent, target, dir));
+  }
+
+  function tvActivate() {
+    if (!tvCurrent || !document.contains(tvCurrent)) return;
+    tvCurrent.click();
   }
 
   window.addEventListener("keydown", (e) => {
+    // Remote number keys and keyboards feed the on-screen PIN pad directly.
+    if (document.getElementById("pinPad")) {
+      if (/^[0-9]$/.test(e.key)) {
+        pinPress(e.key);
+        e.preventDefault();
+        return;
+      }
+      if (e.key === "Backspace") {
+        pinBackspace();
+        e.preventDefault();
+        return;
+      }
+    }
+    if (state.route.name === "loop") {
+      const dir = { ChannelUp: 1, PageUp: 1, ChannelDown: -1, PageDown: -1 }[
+        e.key
+      ];
+      if (dir) {
+        switchLoopChannel(dir);
+        e.preventDefault();
+        return;
+      }
+    }
     if (!isTV()) return;
     switch (e.key) {
       case "ArrowRight":
-        tvMove(1);
+        tvMove("right");
         e.preventDefault();
         break;
       case "ArrowLeft":
-        tvMove(-1);
+        tvMove("left");
         e.preventDefault();
         break;
       case "ArrowDown":
-        tvMove(3);
+        tvMove("down");
         e.preventDefault();
         break;
       case "ArrowUp":
-        tvMove(-3);
+        tvMove("up");
         e.preventDefault();
         break;
       case "Enter":
@@ -1903,21 +7767,83 @@
   // GLOBAL HANDLERS
   // =========================================================
   window.navTo = navTo;
+  window.navToButton = navToButton;
   window.setTab = setTab;
   window.signOut = signOut;
   window.setLoginView = setLoginView;
   window.startTVODCheckout = startTVODCheckout;
-  window.skipLoop = () => playNextLoop();
-  window.toggleLoopShuffle = () => {
-    state.loop.shuffle = !state.loop.shuffle;
-    initLoopQueue();
+  window.cancelSubscription = cancelSubscription;
+  window.resumePlayback = resumePlayback;
+  window.cancelUpNext = cancelUpNext;
+  window.setSearchFilter = setSearchFilter;
+  window.validateCatalog = validateCatalog;
+  window.toggleMyList = toggleMyList;
+  window.shareLink = shareLink;
+  window.setLocale = setLocale;
+  window.toggleTrackMenu = toggleTrackMenu;
+  window.pinPress = pinPress;
+  window.pinBackspace = pinBackspace;
+  window.pinSubmit = pinSubmit;
+  window.requestMaturityLimit = requestMaturityLimit;
+  window.checkVastFixtures = checkVastFixtures;
+  window.chooseProfile = (id) => {
+    const target = state.profiles.find((p) => p.id === id);
+    const next = safeNext(state.route.params.next) || "#/home";
+    const choose = async () => {
+      await selectProfile(id);
+      navTo(next);
+    };
+    if (state.profile && profileLimit(target) > maturityLimit()) {
+      return withProfilePin(choose);
+    }
+    choose();
+  };
+  window.addProfile = () => {
+    const name = document.getElementById("newProfileName")?.value.trim();
+    if (!name) return alert(tr("profiles.enterName"));
+    const back = location.hash;
+    withProfilePin(async () => {
+      await createProfile(name);
+      if (location.hash === back) render();
+      else navTo(back);
+    });
+  };
+  window.renameProfile = async (id) => {
+    const name = document.getElementById(`profileName_${id}`)?.value.trim();
+    if (!name) return alert(tr("profiles.enterName"));
+    await updateProfile(id, { name });
+    render();
+  };
+  window.cycleProfileAvatar = async (id) => {
+    const p = state.profiles.find((x) => x.id === id);
+    if (!p) return;
+    const i = PROFILE_AVATARS.indexOf(p.avatar);
+    await updateProfile(id, {
+      avatar: PROFILE_AVATARS[(i + 1) % PROFILE_AVATARS.length],
+    });
     render();
   };
+  window.removeProfile = (id) => {
+    const p = state.profiles.find((x) => x.id === id);
+    if (!p || !confirm(tr("profiles.confirmDelete", { name: p.name }))) {
+      return;
+    }
+    const back = location.hash;
+    withProfilePin(async () => {
+      await deleteProfile(id);
+      if (location.hash === back) render();
+      else navTo(back);
+    });
+  };
+  window.skipLoopAd = skipLoopAd;
+  window.switchLoopChannel = switchLoopChannel;
+  window.skipLoop = skipLoop;
+  window.loopAdClicked = loopAdClicked;
 
   window.handleSignIn = () => {
     const email = document.getElementById("loginEmail")?.value.trim();
     const password = document.getElementById("loginPass")?.value.trim();
-    if (!email || !password) return alert("Enter email + password.");
+    if (!email || !password) return alert(tr("auth.enterCredentials"));
     signIn(email, password);
   };
 
@@ -1926,12 +7852,12 @@
     const password = document.getElementById("loginPass")?.value.trim();
     const password2 = document.getElementById("signupPass2")?.value.trim();
     const fullName = document.getElementById("signupName")?.value.trim();
-    if (!fullName) return alert("Please enter your full name.");
+    if (!fullName) return alert(tr("auth.enterName"));
     if (!email || !password || !password2)
-      return alert("Fill out all fields.");
-    if (password !== password2) return alert("Passwords do not match.");
+      return alert(tr("auth.fillAll"));
+    if (password !== password2) return alert(tr("auth.passwordMismatch"));
     if (password.length < 6)
-      return alert("Password must be at least 6 characters.");
+      return alert(tr("auth.passwordShort", { count: 6 }));
     signUp(email, password, fullName);
   };
 
@@ -1939,9 +7865,18 @@
   // BOOT
   // =========================================================
   (async function boot() {
+    registerServiceWorker();
     await loadConfigJSON();
     await initSupabaseIfPossible();
-    await loadData();
-    render();
+    // The cached catalog renders as soon as it's read; account state loads
+    // alongside the catalog refresh and everything re-renders once settled.
+    const account = Promise.all([
+      loadProfiles().then(syncMyList),
+      loadEntitlements(),
+      loadSubscription(),
+    ]);
+    await Promise.all([loadData(), account]);
+    if (state.catalog) render();
+    flushAnalytics();
   })();
 })();
@@ -0,0 +1,131 @@
+/* ============================================================
+   WatchVIM Service Worker (offline app shell + artwork cache)
+   ============================================================ */
+
+const SHELL_CACHE = "watchvim-shell-v1";
+const IMAGE_CACHE = "watchvim-images-v1";
+// Written by app.js (last good catalog); kept across SW updates.
+const DATA_CACHE = "watchvim-data-v1";
+const KEEP_CACHES = [SHELL_CACHE, IMAGE_CACHE, DATA_CACHE];
+
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./config.json",
+  "./manifest.webmanifest",
+];
+const MAX_IMAGES = 200;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => !KEEP_CACHES.includes(k))
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  // config.json is fetched with a cache-busting ?t=, so match without it.
+  if (url.origin === location.origin && url.pathname.endsWith("/config.json")) {
+    event.respondWith(networkFirst(req, SHELL_CACHE, { ignoreSearch: true }));
+    return;
+  }
+
+  if (req.mode === "navigate") {
+    event.respondWith(
+      networkFirst(req, SHELL_CACHE, { ignoreSearch: true }).catch(() =>
+        caches.match("./index.html")
+      )
+    );
+    return;
+  }
+
+  if (req.destination === "image") {
+    event.respondWith(cacheFirst(req, IMAGE_CACHE));
+    return;
+  }
+
+  // App script plus the CDN scripts (Tailwind, Mux Player, Supabase).
+  if (req.destination === "script" || req.destination === "style") {
+    event.respondWith(staleWhileRevalidate(req, SHELL_CACHE));
+  }
+});
+
+async function networkFirst(req, cacheName, matchOpts = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(stripSearch(req), res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req, matchOpts);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+
+  // Opaque responses are padded to megabytes of quota each, so only CORS
+  // images are kept; a full cache must never fail the image itself.
+  const res = await fetch(req);
+  if (res.ok) {
+    try {
+      await cache.put(req, res.clone());
+      trimCache(cache, MAX_IMAGES).catch(() => {});
+    } catch (_) {}
+  }
+  return res;
+}
+
+async function staleWhileRevalidate(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  // Only CORS-readable successes are kept: an opaque or failed response
+  // would be served from the cache on the next load with no way to tell.
+  const network = fetch(req)
+    .then((res) => {
+      if (res.ok) cache.put(req, res.clone()).catch(() => {});
+      return res;
+    })
+    .catch(() => hit || Response.error());
+  return hit || network;
+}
+
+// Cache keys come back in insertion order, so the oldest go first.
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  const stale = keys.slice(0, Math.max(0, keys.length - max));
+  await Promise.all(stale.map((k) => cache.delete(k)));
+}
+
+function stripSearch(req) {
+  const url = new URL(req.url);
+  if (!url.search) return req;
+  url.search = "";
+  return new Request(url.toString());
+}